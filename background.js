@@ -4,8 +4,11 @@
  * 
  * Handles fetch requests from content script to bypass CORS restrictions
  * Manages translator state and communicates with content scripts
+ * Holds the persistent translation cache shared by all Discord tabs
  */
 
+importScripts('i18n.js', 'settings.js', 'translation-cache.js');
+
 const logger = {
   debug: (...args) => console.debug('[Discord Translator - Background]', ...args),
   log: (...args) => console.log('[Discord Translator - Background]', ...args),
@@ -18,10 +21,25 @@ let translatorState = {
   isActive: true,  // Automatically active for Discord
   stats: {
     translated: 0,
-    cached: 0
+    cached: 0,
+    errors: 0,
+    serverStatus: 'up'
   }
 };
 
+// Persistent translation cache (IndexedDB), limits are applied from settings on startup
+const translationCache = new TranslationCache();
+
+/**
+ * Convert cache settings to TranslationCache limits
+ */
+function getCacheLimits(settings) {
+  return {
+    maxEntries: settings.cacheMaxEntries,
+    ttlMs: settings.cacheTtlDays * 24 * 60 * 60 * 1000
+  };
+}
+
 /**
  * Get current state
  */
@@ -37,6 +55,13 @@ async function initializeState() {
   const stored = await chrome.storage.local.get('translatorActive');
   translatorState.isActive = stored.translatorActive !== undefined ? stored.translatorActive : true;
   await chrome.storage.local.set({ translatorActive: translatorState.isActive });
+
+  // Settings moved from storage.local to storage.sync
+  await Settings.migrateFromLocal();
+
+  const settings = await Settings.load();
+  await translationCache.configure(getCacheLimits(settings));
+  await I18n.load(settings.uiLanguage);
   logger.log('🚀 Translator initialized:', translatorState.isActive ? 'ACTIVE' : 'INACTIVE');
 }
 
@@ -52,20 +77,33 @@ async function toggleTranslator() {
   await chrome.storage.local.set({ translatorActive: translatorState.isActive });
 
   // Notify all Discord tabs
+  await notifyDiscordTabs('stateChanged', [translatorState.isActive]);
+
+  return getState();
+}
+
+/**
+ * Send a message to content scripts in all Discord tabs
+ */
+async function notifyDiscordTabs(type, args = []) {
   const tabs = await chrome.tabs.query({ url: '*://*.discord.com/*' });
   for (const tab of tabs) {
     try {
-      await chrome.tabs.sendMessage(tab.id, JSON.stringify({
-        type: 'stateChanged',
-        args: [translatorState.isActive]
-      }));
+      await chrome.tabs.sendMessage(tab.id, JSON.stringify({ type, args }));
     } catch (error) {
       // Tab might not have content script loaded yet
       logger.debug('Could not notify tab', tab.id, error.message);
     }
   }
+}
 
-  return getState();
+/**
+ * Clear the persistent cache and in-memory caches in all tabs
+ */
+async function clearCache() {
+  await translationCache.clear();
+  await notifyDiscordTabs('cacheCleared');
+  logger.log('🗑️ Translation cache cleared');
 }
 
 /**
@@ -103,14 +141,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           const [url, options] = args;
           logger.log('🌐 Proxying fetch request to:', url.substring(0, 100) + '...');
 
-          const response = await fetch(url, options);
+          // Status is returned with the body so the content script can decide whether to retry
+          let response;
+          try {
+            response = await fetch(url, options);
+          } catch (fetchError) {
+            logger.warn('🚫 Fetch failed (network error):', fetchError.message);
+            sendResponse(JSON.stringify({ status: 0, error: fetchError.message }));
+            break;
+          }
           logger.log('📥 Fetch response status:', response.status, response.statusText);
 
           const text = await response.text();
           logger.log('📄 Fetch response text length:', text.length);
           logger.log('📄 First 200 chars:', text.substring(0, 200));
 
-          sendResponse(text);
+          sendResponse(JSON.stringify({ status: response.status, text }));
           break;
         }
 
@@ -126,6 +172,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
 
+        case 'cacheGet': {
+          const [keys] = args;
+          const hits = await translationCache.getMany(keys);
+          sendResponse(JSON.stringify(hits));
+          break;
+        }
+
+        case 'cacheSet': {
+          const [entries] = args;
+          await translationCache.setMany(entries);
+          sendResponse(JSON.stringify({ success: true }));
+          break;
+        }
+
+        case 'cacheStats': {
+          const size = await translationCache.count();
+          sendResponse(JSON.stringify({ size }));
+          break;
+        }
+
+        case 'clearCache': {
+          await clearCache();
+          sendResponse(JSON.stringify({ success: true }));
+          break;
+        }
+
+        case 'getLocaleMessages': {
+          // Content scripts can't fetch extension files, the catalog is read here
+          const [language] = args;
+          if (!UI_LANGUAGES.includes(language)) {
+            throw new Error(`Unknown UI language: ${language}`);
+          }
+          sendResponse(JSON.stringify(await I18n.fetchCatalog(language)));
+          break;
+        }
+
         case 'updateStats': {
           const [stats] = args;
           updateStats(stats);
@@ -148,6 +230,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
+/**
+ * Context menu on selected text, the content script translates it and shows a popover
+ */
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== 'translate-selection' || !tab?.id) {
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(
+      tab.id,
+      JSON.stringify({ type: 'translateSelection', args: [info.selectionText] }),
+      { frameId: info.frameId }
+    );
+  } catch (error) {
+    logger.debug('Could not send selection to tab', tab.id, error.message);
+  }
+});
+
+/**
+ * Keyboard shortcuts (chrome://extensions/shortcuts)
+ * Toggling is handled here, the others act on messages in the active Discord tab
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  logger.log('⌨️ Command:', command);
+
+  if (command === 'toggle-translator') {
+    await toggleTranslator();
+    return;
+  }
+
+  if (!tab?.id || !/^https?:\/\/([\w-]+\.)?discord\.com\//.test(tab.url || '')) {
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, JSON.stringify({ type: 'command', args: [command] }));
+  } catch (error) {
+    logger.debug('Could not send command to tab', tab.id, error.message);
+  }
+});
+
 /**
  * Extension lifecycle events
  */
@@ -159,8 +283,32 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } else if (details.reason === 'update') {
     logger.log('Extension updated to version', chrome.runtime.getManifest().version);
   }
+
   // Initialize state after install/update
   await initializeState();
+
+  // Context menu items persist, they are only (re)created on install and update
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: 'translate-selection',
+    title: I18n.t('contextMenuTranslateSelection'),
+    contexts: ['selection'],
+    documentUrlPatterns: ['*://discord.com/*', '*://canary.discord.com/*', '*://ptb.discord.com/*']
+  });
+});
+
+// Apply cache limit changes from the options page
+Settings.onChanged(async (changes) => {
+  if ('cacheMaxEntries' in changes || 'cacheTtlDays' in changes) {
+    const settings = await Settings.load();
+    await translationCache.configure(getCacheLimits(settings));
+    logger.log('⚙️ Cache limits updated:', getCacheLimits(settings));
+  }
+
+  if ('uiLanguage' in changes) {
+    await I18n.load(changes.uiLanguage);
+    await chrome.contextMenus.update('translate-selection', { title: I18n.t('contextMenuTranslateSelection') });
+  }
 });
 
 // Initialize state on startup
@@ -9,31 +9,113 @@
 // CONFIGURATION
 // ============================================================================
 
+// Values marked (setting) come from settings.js defaults and are overwritten with the
+// user's settings from chrome.storage.sync on startup and whenever they change
 const CONFIG = {
   // Debug settings
-  DEBUG_ENABLED: false,              // Master switch for all debug logging
-  DEBUG_VERBOSE: false,              // Extra detailed logs (element detection, viewport checks, etc.)
-  DEBUG_API_REQUESTS: false,         // Log API requests and responses
-  DEBUG_TRANSLATIONS: false,         // Log translation progress
-  DEBUG_PERFORMANCE: false,          // Log timing and performance info
-
-  // DEBUG_ENABLED: true,              // Master switch for all debug logging
-  // DEBUG_VERBOSE: true,              // Extra detailed logs (element detection, viewport checks, etc.)
-  // DEBUG_API_REQUESTS: true,         // Log API requests and responses
-  // DEBUG_TRANSLATIONS: true,         // Log translation progress
-  // DEBUG_PERFORMANCE: true,          // Log timing and performance info
-
+  DEBUG_ENABLED: SETTINGS_DEFAULTS.debugEnabled,           // (setting) Master switch for all debug logging
+  DEBUG_VERBOSE: SETTINGS_DEFAULTS.debugVerbose,           // (setting) Extra detailed logs (element detection, viewport checks, etc.)
+  DEBUG_API_REQUESTS: SETTINGS_DEFAULTS.debugApiRequests,  // (setting) Log API requests and responses
+  DEBUG_TRANSLATIONS: SETTINGS_DEFAULTS.debugTranslations, // (setting) Log translation progress
+  DEBUG_PERFORMANCE: SETTINGS_DEFAULTS.debugPerformance,   // (setting) Log timing and performance info
 
   // Translation settings
-  API_DELAY_MS: 50,                   // Delay between translation requests
-  CYCLE_DELAY_MS: 2000,               // Delay between processing cycles
-  TARGET_LANGUAGE: 'cs',              // Target language (Czech)
+  PROVIDER: SETTINGS_DEFAULTS.provider, // (setting) Translation provider ID (see providers.js)
+  API_URL: SETTINGS_DEFAULTS.apiUrl,  // (setting) Provider endpoint URL
+  API_KEY: SETTINGS_DEFAULTS.apiKey,  // (setting) Provider API key
+  MODEL: SETTINGS_DEFAULTS.model,     // (setting) Model name for OpenAI-compatible providers
+  PROVIDER_CONFIGS: SETTINGS_DEFAULTS.providerConfigs, // (setting) Provider ID -> { apiUrl, apiKey, model } of every provider set up
+  API_DELAY_MS: SETTINGS_DEFAULTS.apiDelayMs, // (setting) Delay between translation requests
+  BATCH_MAX_SIZE: SETTINGS_DEFAULTS.batchMaxSize, // (setting) Max messages sent in one request
+  BATCH_MAX_CHARS: SETTINGS_DEFAULTS.batchMaxChars, // (setting) Max total characters sent in one request
+  CYCLE_DELAY_MS: SETTINGS_DEFAULTS.cycleDelayMs, // (setting) Full-scan interval, only used when the message list isn't found
+  OBSERVER_DEBOUNCE_MS: 150,          // Collect DOM changes for this long before processing them
+  LIST_CHECK_MS: 1000,                // How often to check that the observed message list still exists
+  PREFETCH_MARGIN_PX: SETTINGS_DEFAULTS.prefetchMarginPx, // (setting) Translate messages this far above/below the viewport in advance
+  TRANSLATE_SPOILERS: SETTINGS_DEFAULTS.translateSpoilers, // (setting) Send spoiler text to the server, otherwise it stays untranslated
+  DISPLAY_MODE: SETTINGS_DEFAULTS.displayMode, // (setting) 'below' the message, 'replace' the original (shown on hover/click) or 'tooltip' on hover
+  TRANSLATION_THEME: SETTINGS_DEFAULTS.translationTheme, // (setting) 'auto' (Discord's colours), 'light', 'dark' or 'custom'
+  TRANSLATION_COLOR: SETTINGS_DEFAULTS.translationColor, // (setting) Text colour of the custom theme
+  TRANSLATION_FONT_SIZE: SETTINGS_DEFAULTS.translationFontSize, // (setting) Font size of translations (px)
+  TRANSLATION_OPACITY: SETTINGS_DEFAULTS.translationOpacity, // (setting) Opacity of translations (%)
+  TRANSLATION_PREFIX: SETTINGS_DEFAULTS.translationPrefix, // (setting) Text shown before every translation
+  ANNOUNCE_DELAY_MS: 1000,            // Automatic translations arriving within this time are announced together
+
+  // Composer (outgoing messages)
+  COMPOSER_ENABLED: SETTINGS_DEFAULTS.composerEnabled, // (setting) Translate button in Discord's message input
+  COMPOSER_LANGUAGE: SETTINGS_DEFAULTS.composerLanguage, // (setting) Draft translation language ('' = channel's dominant language)
+  COMPOSER_SAMPLE_MESSAGES: 30,       // Recent messages checked to find the channel's dominant language
+  COMPOSER_SELECTION_DELAY_MS: 150,   // Discord's editor picks up a new selection with a delay of up to 100 ms
+  TARGET_LANGUAGE: SETTINGS_DEFAULTS.targetLanguage, // (setting) Target language, '' = Discord or browser language
+  CACHE_MAX_ENTRIES: SETTINGS_DEFAULTS.cacheMaxEntries, // (setting) Max translations in the persistent cache
+  CACHE_TTL_DAYS: SETTINGS_DEFAULTS.cacheTtlDays, // (setting) Cached translation lifetime (0 = never expires)
+  MEMORY_CACHE_MAX_ENTRIES: 1000,     // Max translations kept in this tab's memory
+  MESSAGE_STORE_MAX_ENTRIES: 5000,    // Max translations remembered by message ID for re-attaching
+  CACHE_WRITE_DELAY_MS: 500,          // Delay before new translations are sent to the shared cache
+
+  // Error handling
+  RETRY_MAX_ATTEMPTS: 3,              // Attempts per request for temporary errors (network, 5xx, 429)
+  RETRY_BASE_DELAY_MS: 1000,          // First retry delay, doubled on every attempt
+  RETRY_MAX_DELAY_MS: 30000,          // Upper limit for retry delays
+  MESSAGE_MAX_ATTEMPTS: 5,            // Automatic attempts per message before giving up
+  CIRCUIT_FAILURE_THRESHOLD: 3,       // Failed requests in a row that pause all translation
+  CIRCUIT_PROBE_INTERVAL_MS: 10000,   // Health check interval while translation is paused
 
   // UI settings
-  DEBUG_STYLING: false,               // Yellow background + red border for translations
-  MANUAL_TRANSLATION: true,           // Enable manual translation with flag icon click
+  DEBUG_STYLING: SETTINGS_DEFAULTS.debugStyling, // (setting) Yellow background + red border for translations
+  MANUAL_TRANSLATION: SETTINGS_DEFAULTS.manualTranslation, // (setting) Enable manual translation with flag icon click
+  TRANSLATION_RULES: SETTINGS_DEFAULTS.translationRules, // (setting) Per-server and per-channel mode and target language
+
+  // Source languages
+  MIN_CONFIDENCE: SETTINGS_DEFAULTS.minConfidence, // (setting) Skip messages detected with lower confidence (%)
+  NEVER_TRANSLATE_FROM: SETTINGS_DEFAULTS.neverTranslateFrom, // (setting) Source languages never translated
+  ONLY_TRANSLATE_FROM: SETTINGS_DEFAULTS.onlyTranslateFrom, // (setting) Only these source languages are translated (empty = all)
+};
+
+// Stored settings key -> CONFIG key
+const SETTINGS_TO_CONFIG = {
+  debugEnabled: 'DEBUG_ENABLED',
+  debugVerbose: 'DEBUG_VERBOSE',
+  debugApiRequests: 'DEBUG_API_REQUESTS',
+  debugTranslations: 'DEBUG_TRANSLATIONS',
+  debugPerformance: 'DEBUG_PERFORMANCE',
+  provider: 'PROVIDER',
+  apiUrl: 'API_URL',
+  apiKey: 'API_KEY',
+  model: 'MODEL',
+  providerConfigs: 'PROVIDER_CONFIGS',
+  apiDelayMs: 'API_DELAY_MS',
+  batchMaxSize: 'BATCH_MAX_SIZE',
+  batchMaxChars: 'BATCH_MAX_CHARS',
+  cycleDelayMs: 'CYCLE_DELAY_MS',
+  prefetchMarginPx: 'PREFETCH_MARGIN_PX',
+  translateSpoilers: 'TRANSLATE_SPOILERS',
+  displayMode: 'DISPLAY_MODE',
+  translationTheme: 'TRANSLATION_THEME',
+  translationColor: 'TRANSLATION_COLOR',
+  translationFontSize: 'TRANSLATION_FONT_SIZE',
+  translationOpacity: 'TRANSLATION_OPACITY',
+  translationPrefix: 'TRANSLATION_PREFIX',
+  composerEnabled: 'COMPOSER_ENABLED',
+  composerLanguage: 'COMPOSER_LANGUAGE',
+  targetLanguage: 'TARGET_LANGUAGE',
+  cacheMaxEntries: 'CACHE_MAX_ENTRIES',
+  cacheTtlDays: 'CACHE_TTL_DAYS',
+  debugStyling: 'DEBUG_STYLING',
+  manualTranslation: 'MANUAL_TRANSLATION',
+  translationRules: 'TRANSLATION_RULES',
+  minConfidence: 'MIN_CONFIDENCE',
+  neverTranslateFrom: 'NEVER_TRANSLATE_FROM',
+  onlyTranslateFrom: 'ONLY_TRANSLATE_FROM'
 };
 
+// Settings that make existing translations outdated
+// Mode and target language changes are detected through the current channel's rule
+const RETRANSLATE_SETTINGS = [
+  'provider', 'apiUrl', 'model', 'translateSpoilers',
+  'minConfidence', 'neverTranslateFrom', 'onlyTranslateFrom'
+];
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -42,6 +124,33 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Exponential backoff delay with jitter for the given attempt (1-based)
+ */
+function backoffDelay(attempt, baseMs = CONFIG.RETRY_BASE_DELAY_MS, maxMs = CONFIG.RETRY_MAX_DELAY_MS) {
+  const exponential = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Call fn, retrying retryable TranslationErrors with exponential backoff
+ */
+async function withRetry(fn, { maxAttempts = CONFIG.RETRY_MAX_ATTEMPTS, shouldRetry = (error) => error.retryable } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const wait = backoffDelay(attempt);
+      logger.warn(`Attempt ${attempt}/${maxAttempts} failed (${error.message}), retrying in ${wait}ms`);
+      await delay(wait);
+    }
+  }
+}
+
 const logger = {
   debug: (...args) => {
     if (CONFIG.DEBUG_ENABLED && CONFIG.DEBUG_VERBOSE) {
@@ -85,51 +194,233 @@ const logger = {
 
 class TranslationService {
   /**
-   * Prepare translation request for LibreTranslate API (self-hosted)
+   * Get the provider selected in settings
    */
-  static prepareBatchTranslation(texts, options = {}) {
-    const targetLang = options.to || 'en';
-    const sourceLang = options.from || 'auto';
+  static getProvider() {
+    return TranslationProviders.get(CONFIG.PROVIDER);
+  }
 
-    // LibreTranslate uses single text per request
-    const text = texts[0]; // We're already sending one text at a time
+  /**
+   * Target language set by the user, otherwise Discord's UI language (<html lang>)
+   * or the browser languages, whichever the provider supports first
+   */
+  static getTargetLanguage() {
+    if (CONFIG.TARGET_LANGUAGE) {
+      return CONFIG.TARGET_LANGUAGE;
+    }
 
-    // LibreTranslate requires POST with JSON body
-    const url = 'http://192.168.79.2:5000/translate';
-    const data = JSON.stringify({
-      q: text,
-      source: sourceLang,
-      target: targetLang,
-      format: 'text'
-    });
+    const provider = this.getProvider();
+    return provider.matchLanguage([document.documentElement.lang, ...navigator.languages, 'en']) || provider.languages[0];
+  }
+
+  /**
+   * Server, key and model for a provider
+   * The selected provider uses the active settings, the others what was saved for them on the options page
+   * (the page also asks for access to their servers). null when the provider was never set up
+   */
+  static getProviderConfig(provider) {
+    if (provider.id === this.getProvider().id) {
+      return { apiUrl: CONFIG.API_URL, apiKey: CONFIG.API_KEY, model: CONFIG.MODEL };
+    }
 
-    return { url, data };
+    const config = CONFIG.PROVIDER_CONFIGS[provider.id];
+    if (!config || (provider.capabilities.apiKey === 'required' && !config.apiKey)) {
+      return null;
+    }
+    return { apiUrl: config.apiUrl || provider.defaultUrl, apiKey: config.apiKey || '', model: config.model || '' };
   }
 
   /**
-   * Format batch translation response from Google Translate API
+   * Translate texts with the selected provider (or options.provider)
+   * Returns one { translatedText, detectedLanguage } result per text
    */
-  static formatBatchResponse(originalTexts, response) {
-    const results = {};
+  static async translate(texts, options = {}) {
+    const provider = options.provider ? TranslationProviders.get(options.provider) : this.getProvider();
+    const config = this.getProviderConfig(provider);
+    if (!config) {
+      throw new TranslationError(`${provider.name}: not set up in the options`, { retryable: false });
+    }
+
+    const { url, options: requestOptions } = provider.prepareRequest(texts, {
+      from: options.from || 'auto',
+      to: options.to || this.getTargetLanguage(),
+      format: options.format || 'html', // Messages are sent as simple HTML (see MessageContent)
+      ...config
+    });
+
+    logger.api(`${provider.name} request to: ${url.substring(0, 100)}`);
+
+    const { status, text } = await this.fetchViaBackground(url, requestOptions);
+    logger.api(`${provider.name} response ${status} (first 200 chars): ${text?.substring(0, 200)}`);
+
+    if (status < 200 || status >= 300) {
+      // Rate limits and server errors are temporary, anything else needs a settings change
+      throw new TranslationError(`${provider.name}: HTTP ${status} ${text?.substring(0, 200) || ''}`.trim(), {
+        status,
+        retryable: status === 429 || status >= 500
+      });
+    }
 
     try {
-      if (Array.isArray(response) && response[0]) {
-        originalTexts.forEach((originalText, index) => {
-          const translated = response[0][index];
-          if (translated && translated[0]) {
-            results[index] = {
-              before: originalText,
-              after: translated[0],
-              detectedLanguage: translated[1] || 'unknown'
-            };
+      return provider.parseResponse(texts, text);
+    } catch (error) {
+      throw new TranslationError(error.message, { status, retryable: false });
+    }
+  }
+
+  /**
+   * Check whether the translation server responds at all
+   */
+  static async checkHealth() {
+    const { url, options } = this.getProvider().prepareHealthCheck({
+      to: this.getTargetLanguage(),
+      apiUrl: CONFIG.API_URL,
+      apiKey: CONFIG.API_KEY,
+      model: CONFIG.MODEL
+    });
+
+    const { status } = await this.fetchViaBackground(url, options);
+    if (status >= 500) {
+      throw new TranslationError(`Health check failed: HTTP ${status}`, { status });
+    }
+  }
+
+  /**
+   * Fetch through the background script to bypass CORS restrictions
+   * Resolves with { status, text }, network failures reject with a retryable TranslationError
+   */
+  static fetchViaBackground(url, options) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(
+        JSON.stringify({
+          type: 'fetch',
+          args: [url, options]
+        }),
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new TranslationError(chrome.runtime.lastError.message, { retryable: false }));
+            return;
           }
-        });
-      }
+
+          try {
+            const { status, text, error } = JSON.parse(response);
+            if (error) {
+              reject(new TranslationError(`Network error: ${error}`, { status: 0 }));
+            } else {
+              resolve({ status, text });
+            }
+          } catch (parseError) {
+            reject(new TranslationError('Invalid response from background script', { retryable: false }));
+          }
+        }
+      );
+    });
+  }
+}
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Translation request failure
+ * retryable: temporary problem (network, 5xx, 429) worth retrying later
+ * circuitOpen: request was not sent because the server is considered down
+ */
+class TranslationError extends Error {
+  constructor(message, { status = 0, retryable = true, circuitOpen = false } = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+    this.retryable = retryable;
+    this.circuitOpen = circuitOpen;
+  }
+}
+
+/**
+ * Circuit breaker for the translation server
+ *
+ * closed: requests pass through, consecutive retryable failures are counted
+ * open: requests fail immediately, a health probe runs periodically
+ * When the probe succeeds the circuit closes again and onRecover is called
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold, probeIntervalMs, probe, onStateChange = () => {} }) {
+    this.failureThreshold = failureThreshold;
+    this.probeIntervalMs = probeIntervalMs;
+    this.probe = probe;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.probeAttempts = 0;
+    this.probeTimeout = null;
+  }
+
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  /**
+   * Run request through the breaker
+   */
+  async execute(fn) {
+    if (this.isOpen) {
+      throw new TranslationError('Translation server unavailable', { retryable: false, circuitOpen: true });
+    }
+
+    try {
+      const result = await fn();
+      this.failures = 0;
+      return result;
     } catch (error) {
-      logger.error('Error formatting translation response:', error);
+      if (error.retryable) {
+        this.recordFailure();
+      }
+      throw error;
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.failures >= this.failureThreshold && !this.isOpen) {
+      this.open();
     }
+  }
+
+  open() {
+    logger.warn(`🔌 Translation server unavailable, pausing requests (${this.failures} failures in a row)`);
+    this.state = 'open';
+    this.probeAttempts = 0;
+    this.onStateChange(this.state);
+    this.scheduleProbe();
+  }
+
+  close() {
+    logger.log('🔌 Translation server is back, resuming requests');
+    this.state = 'closed';
+    this.failures = 0;
+    this.onStateChange(this.state);
+  }
+
+  scheduleProbe() {
+    clearTimeout(this.probeTimeout);
+    this.probeAttempts++;
+    const wait = backoffDelay(this.probeAttempts, this.probeIntervalMs, this.probeIntervalMs * 6);
+
+    this.probeTimeout = setTimeout(async () => {
+      try {
+        await this.probe();
+        this.close();
+      } catch (error) {
+        logger.debug(`Health probe failed (${error.message}), next probe later`);
+        this.scheduleProbe();
+      }
+    }, wait);
+  }
 
-    return results;
+  stop() {
+    clearTimeout(this.probeTimeout);
+    this.probeTimeout = null;
   }
 }
 
@@ -204,6 +495,288 @@ class ContentScriptContext {
   }
 }
 
+// ============================================================================
+// MESSAGE CONTENT
+// ============================================================================
+
+/**
+ * Converts message markup to translatable HTML and back
+ *
+ * Formatting (bold, italics, headers, lists, quotes, line breaks) is sent as a few plain
+ * HTML tags the providers keep in place. Mentions, emoji, links and inline code are
+ * replaced with {{n}} placeholders so the translation server leaves them alone,
+ * render() puts copies of the original nodes back
+ *
+ * Spoilers are sent as <mark> and rendered as a click-to-reveal spoiler. With
+ * CONFIG.TRANSLATE_SPOILERS off they become placeholders and never leave the browser
+ */
+class MessageContent {
+  // Left out of the translation (replies, embeds, code blocks, media)
+  static REMOVED_SELECTOR = [
+    '[class*="repliedMessage"]',
+    '[class*="repliedText"]',
+    '[id^="message-reply-context"]',
+    '[class*="embed"]',
+    '[class*="messageAccessories"]',
+    '[class*="timestampInline"]',     // Discord's "(edited)" marker
+    '[id^="message-accessories"]',
+    'pre',
+    'video',
+    'audio',
+    '[class*="discord-translator-"]'  // Our own icons and translations
+  ].join(', ');
+
+  // Kept untranslated at their position in the text
+  static PROTECTED_SELECTOR = [
+    '[class*="mention"]',     // @user, @role and #channel mentions
+    '[class*="emoji"]',       // Custom and unicode emoji (rendered as images)
+    'a[href]',                // Links
+    'code',                   // Inline code
+    'img',
+    'time'
+  ].join(', ');
+
+  // Discord's ||spoiler|| (class names differ between Discord versions)
+  static SPOILER_SELECTOR = '[class*="spoilerContent"], [class*="spoilerText"]';
+  static SPOILER_CLASS = 'discord-translator-spoiler';
+
+  // Discord's formatting element -> tag sent for translation
+  static FORMATTING_TAGS = {
+    STRONG: 'b',
+    B: 'b',
+    EM: 'i',
+    I: 'i',
+    U: 'u',
+    S: 's',
+    DEL: 's',
+    H1: 'h1',
+    H2: 'h2',
+    H3: 'h3',
+    SMALL: 'small',
+    UL: 'ul',
+    OL: 'ol',
+    LI: 'li',
+    BLOCKQUOTE: 'blockquote'
+  };
+
+  // Tags allowed in rendered translations, everything else is unwrapped to its text
+  static ALLOWED_TAGS = new Set([...Object.values(this.FORMATTING_TAGS), 'br', 'p']);
+
+  // Dropped with their content when a server returns them
+  static DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'SVG', 'MATH']);
+
+  // URLs that Discord didn't turn into links
+  static URL_PATTERN = /https?:\/\/[^\s]+|www\.[^\s]+|discord\.gg\/[^\s]+/gi;
+
+  // Servers sometimes add spaces inside the braces
+  static PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g;
+
+  // Kept as tokens in text nodes: URLs and "{{n}}" typed by the user, which would pass for a placeholder
+  static TEXT_TOKEN_PATTERN = new RegExp(`${this.URL_PATTERN.source}|${this.PLACEHOLDER_PATTERN.source}`, 'gi');
+
+  /**
+   * Get translatable HTML of a markup element
+   * @returns {{ text: string, tokens: Node[] }} HTML with {{n}} placeholders, tokens[n] is the original node
+   */
+  static extract(element) {
+    const tokens = [];
+    const text = Array.from(element.childNodes, child => this.extractNode(child, tokens)).join('');
+    return { text: text.trim().replace(/^(<br>)+|(<br>)+$/g, ''), tokens };
+  }
+
+  static extractNode(node, tokens) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      // Plain-text URLs and literal placeholders are protected too, line breaks become <br>
+      return this.escapeHtml(node.textContent)
+        .replace(this.TEXT_TOKEN_PATTERN, match => this.addToken(tokens, document.createTextNode(this.unescapeHtml(match))))
+        .replace(/\n/g, '<br>');
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(this.REMOVED_SELECTOR)) {
+      return '';
+    }
+
+    if (node.tagName === 'BR') {
+      return '<br>';
+    }
+
+    if (node.matches(this.SPOILER_SELECTOR)) {
+      if (!CONFIG.TRANSLATE_SPOILERS) {
+        return this.addToken(tokens, node);
+      }
+      const spoiler = Array.from(node.childNodes, child => this.extractNode(child, tokens)).join('');
+      return spoiler ? `<mark>${spoiler}</mark>` : '';
+    }
+
+    if (node.matches(this.PROTECTED_SELECTOR)) {
+      return this.addToken(tokens, node);
+    }
+
+    const content = Array.from(node.childNodes, child => this.extractNode(child, tokens)).join('');
+    const tag = this.FORMATTING_TAGS[node.tagName];
+    return tag && content ? `<${tag}>${content}</${tag}>` : content;
+  }
+
+  static addToken(tokens, node) {
+    tokens.push(node);
+    return `{{${tokens.length - 1}}}`;
+  }
+
+  static escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  static unescapeHtml(html) {
+    return html.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Plain text of extracted HTML without placeholders (for language detection)
+   */
+  static toPlainText(html) {
+    const text = new DOMParser().parseFromString(html.replace(/<br>/g, '\n'), 'text/html').body.textContent;
+    return text.replace(this.PLACEHOLDER_PATTERN, ' ').trim();
+  }
+
+  /**
+   * Check that there is something to translate besides placeholders (e.g. not only emoji or links)
+   */
+  static hasText(html) {
+    return this.toPlainText(html).replace(/\s+/g, '').length >= 3;
+  }
+
+  /**
+   * Build translation nodes from translated HTML
+   * The HTML is parsed in an inert document and only formatting tags without attributes are
+   * recreated. Placeholders are replaced with copies of the original nodes, placeholders
+   * dropped by the translation server are appended at the end so nothing is lost.
+   * Unknown or repeated placeholders are left as text
+   */
+  static render(translatedHtml, tokens) {
+    const fragment = document.createDocumentFragment();
+    const used = new Set();
+    const parsed = new DOMParser().parseFromString(translatedHtml, 'text/html');
+
+    this.renderChildren(parsed.body, fragment, tokens, used);
+
+    tokens.forEach((token, index) => {
+      if (!used.has(index)) {
+        fragment.append(' ', this.cloneToken(token));
+      }
+    });
+
+    return fragment;
+  }
+
+  static renderChildren(source, target, tokens, used) {
+    for (const node of source.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        this.renderText(node.textContent, target, tokens, used);
+        continue;
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE || this.DROPPED_TAGS.has(node.tagName)) {
+        continue;
+      }
+
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'mark') {
+        const spoiler = this.createSpoiler();
+        this.renderChildren(node, spoiler, tokens, used);
+        target.append(spoiler);
+      } else if (this.ALLOWED_TAGS.has(tag)) {
+        const element = document.createElement(tag);
+        this.renderChildren(node, element, tokens, used);
+        target.append(element);
+      } else {
+        this.renderChildren(node, target, tokens, used);
+      }
+    }
+  }
+
+  static renderText(text, target, tokens, used) {
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(this.PLACEHOLDER_PATTERN)) {
+      target.append(text.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      const index = Number(match[1]);
+      if (tokens[index] && !used.has(index)) {
+        target.append(this.cloneToken(tokens[index]));
+        used.add(index);
+      } else {
+        target.append(match[0]);
+      }
+    }
+
+    target.append(text.slice(lastIndex));
+  }
+
+  static cloneToken(node) {
+    const clone = node.cloneNode(true);
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return clone;
+    }
+
+    // Untranslated spoiler, hidden again even if the original was revealed
+    if (node.matches(this.SPOILER_SELECTOR)) {
+      const spoiler = this.createSpoiler();
+      spoiler.append(...clone.childNodes);
+      spoiler.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+      return spoiler;
+    }
+
+    // IDs must stay unique in the page
+    clone.removeAttribute('id');
+    clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+
+    // Discord handles mention clicks through React, which doesn't know the copy
+    // Clicks are forwarded to the original so the profile or channel opens as usual
+    if (node.matches('[class*="mention"]')) {
+      clone.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (node.isConnected) {
+          node.click();
+        }
+      });
+    }
+
+    return clone;
+  }
+
+  /**
+   * Spoiler revealed by click or keyboard, like Discord's own
+   */
+  static createSpoiler() {
+    const spoiler = document.createElement('span');
+    spoiler.className = this.SPOILER_CLASS;
+    spoiler.setAttribute('role', 'button');
+    spoiler.setAttribute('aria-expanded', 'false');
+    spoiler.setAttribute('aria-label', I18n.t('spoiler'));
+    spoiler.tabIndex = 0;
+
+    const reveal = (event) => {
+      if (spoiler.classList.contains('revealed')) return;
+      event.preventDefault();
+      event.stopPropagation();
+      spoiler.classList.add('revealed');
+      spoiler.setAttribute('aria-expanded', 'true');
+      spoiler.removeAttribute('tabindex');
+    };
+
+    spoiler.addEventListener('click', reveal);
+    spoiler.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        reveal(event);
+      }
+    });
+
+    return spoiler;
+  }
+}
+
 // ============================================================================
 // DISCORD MESSAGE TRANSLATOR
 // ============================================================================
@@ -211,18 +784,65 @@ class ContentScriptContext {
 class DiscordTranslator {
   constructor(context) {
     this.context = context;
-    this.translationCache = new Map(); // text -> translation (persistent across channels)
+    this.translationCache = new LruCache({ maxEntries: CONFIG.MEMORY_CACHE_MAX_ENTRIES }); // cache key -> { translatedText, detectedLanguage }
+    this.pendingCacheWrites = new Map(); // cache key -> result, waiting to be sent to the shared cache
+    this.cacheWriteTimeout = null; // Debounce shared cache writes
     this.processedMessages = new Set(); // Set of message IDs that have been processed (cleared on channel change)
-    this.messageTranslations = new Map(); // messageId -> { text, translation, element }
+    this.messageTranslations = new Map(); // messageId -> { text, translation, element, translationElement } (displayed now)
+    this.editedMessages = new Set(); // Message IDs translated again after the author edited them, kept while their translation is stored
+    this.translationStore = new LruCache({
+      maxEntries: CONFIG.MESSAGE_STORE_MAX_ENTRIES,
+      onEvict: (messageId) => this.editedMessages.delete(messageId)
+    }); // messageId -> { text, translatedText, detectedLanguage, collapsed, swapped, override } (whole session)
+    this.failedMessages = new Map(); // messageId -> { text, attempts, error, nextRetryAt } (never cached)
     this.PROCESSED_ATTRIBUTE = 'discord-translator-processed';
     this.TRANSLATION_CLASS = 'discord-translator-translation';
+    this.ERROR_CLASS = 'discord-translator-error';
     this.FLAG_ICON_CLASS = 'discord-translator-flag-icon';
     this.FLAG_CONTAINER_CLASS = 'discord-translator-flag-container';
+    this.LANGUAGE_BADGE_CLASS = 'discord-translator-language';
+    this.EDITED_CLASS = 'discord-translator-edited';
+    this.HIDDEN_CLASS = 'discord-translator-hidden';
+    this.ACTIONS_CLASS = 'discord-translator-actions';
+    this.ORIGINAL_CLASS = 'discord-translator-original';
+    this.REPLACED_CLASS = 'discord-translator-replaced';
+    this.TOOLTIP_TARGET_CLASS = 'discord-translator-tooltip-target';
+    this.LIVE_REGION_CLASS = 'discord-translator-live-region';
+    this.DEBUG_CLASS = 'discord-translator-debug';
     this.currentChannelId = null; // Track current channel
     this.isTranslating = false; // Flag to prevent multiple concurrent translations
-    this.scrollTimeout = null; // Debounce scroll events
+    this.visibleObserver = null; // IntersectionObserver for messages on screen
+    this.prefetchObserver = null; // IntersectionObserver for messages near the screen (prefetch zone)
+    this.visibleMessages = new Set(); // Markup elements currently on screen
+    this.nearbyMessages = new Set(); // Markup elements on screen or within the prefetch zone
+    this.observedElements = new WeakSet(); // Markup elements registered with the visibility observers
     this.isActive = true; // Translator automatically active for Discord
-    this.processingInterval = null; // Interval for processing messages
+    this.processingInterval = null; // Watchdog interval (list re-attach, retries, full-scan fallback)
+    this.messageObserver = null; // MutationObserver on Discord's message list
+    this.observedList = null; // Message list element currently observed
+    this.pendingElements = new Set(); // Markup elements changed since the last processing run
+    this.observerDebounce = null; // Debounce observer batches
+    this.lastFullScan = 0; // Timestamp of the last fallback full scan
+    this.hoveredElement = null; // Element under the mouse, target of the translate-message shortcut
+    this.hiddenTranslationChannels = new Set(); // Channel IDs with translations hidden by the shortcut
+    this.liveRegion = null; // Hidden aria-live element announcing new translations
+    this.pendingAnnouncements = 0; // Automatic translations arrived since the last announcement
+    this.announceTimeout = null; // Debounce announcements
+
+    // Translate button and preview in Discord's message input
+    this.composer = new ComposerTranslator(this);
+
+    // Popover for text selected anywhere on Discord (context menu)
+    this.selection = new SelectionTranslator(this);
+
+    // Pause all requests while the translation server is down
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: CONFIG.CIRCUIT_FAILURE_THRESHOLD,
+      probeIntervalMs: CONFIG.CIRCUIT_PROBE_INTERVAL_MS,
+      probe: () => TranslationService.checkHealth(),
+      onStateChange: (state) => this.onCircuitStateChange(state)
+    });
+    this.context.onInvalidated(() => this.circuitBreaker.stop());
 
     // Inject CSS for flag icons
     this.injectFlagIconStyles();
@@ -257,7 +877,8 @@ class DiscordTranslator {
         position: relative;
       }
       
-      .${this.FLAG_CONTAINER_CLASS}:hover {
+      .${this.FLAG_CONTAINER_CLASS}:hover,
+      .${this.FLAG_CONTAINER_CLASS}:focus-within {
         opacity: 1;
       }
       
@@ -308,6 +929,11 @@ class DiscordTranslator {
         box-shadow: 0 0 0 2px rgba(88, 101, 242, 0.3);
       }
       
+      .${this.FLAG_ICON_CLASS}:focus-visible {
+        color: #5865f2;
+        box-shadow: 0 0 0 2px #5865f2;
+      }
+      
       .${this.FLAG_ICON_CLASS}.translating {
         opacity: 0.5;
         cursor: wait;
@@ -324,1299 +950,3596 @@ class DiscordTranslator {
         height: 100%;
         border-radius: 2px;
       }
-    `;
-    
-    document.head.appendChild(styleElement);
-    logger.debug('Flag icon styles injected');
-  }
-
-  async start() {
-    logger.log('='.repeat(60));
-    logger.log('Discord Translator initialized by Tomáš Mark');
-    logger.log('='.repeat(60));
-    logger.log('Configuration:');
-    logger.log(`  Debug Enabled: ${CONFIG.DEBUG_ENABLED}`);
-    logger.log(`  Debug Verbose: ${CONFIG.DEBUG_VERBOSE}`);
-    logger.log(`  Debug API: ${CONFIG.DEBUG_API_REQUESTS}`);
-    logger.log(`  Target Language: ${CONFIG.TARGET_LANGUAGE}`);
-    logger.log(`  API Delay: ${CONFIG.API_DELAY_MS}ms`);
-    logger.log(`  Cycle Delay: ${CONFIG.CYCLE_DELAY_MS}ms`);
-    logger.log(`  Debug Styling: ${CONFIG.DEBUG_STYLING ? 'ON (yellow+red)' : 'OFF (subtle gray)'}`);
-    logger.log(`  Manual Translation: ${CONFIG.MANUAL_TRANSLATION ? 'ON (flag icons)' : 'OFF (auto-translate)'}`);
-    logger.log('='.repeat(60));
-
-    // Get initial state from background (but default to ON)
-    await this.checkState();
-
-    // Listen for state changes (for manual toggle if needed)
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      try {
-        const { type, args } = JSON.parse(message);
-        if (type === 'stateChanged') {
-          const [isActive] = args;
-          this.setActive(isActive);
-          sendResponse(JSON.stringify({ success: true }));
-        }
-      } catch (error) {
-        logger.error('Error handling message:', error);
+      
+      .${this.FLAG_ICON_CLASS}.error {
+        color: var(--text-danger, #f23f43);
       }
-      return true;
-    });
-
-    // Wait for Discord to load messages
-    await delay(3000);
-    
-    // Always start processing automatically on Discord
-    logger.log('🚀 Starting automatic message translation...');
-    await this.startProcessing();
-  }
-
-  /**
-   * Check current state from background
-   */
-  async checkState() {
-    // Check if chrome runtime is still valid
-    if (!chrome?.runtime?.id) {
-      logger.error('Chrome runtime not available');
-      this.isActive = true; // Default to ON for automatic translation
-      return;
-    }
-
-    try {
-      const response = await chrome.runtime.sendMessage(JSON.stringify({
-        type: 'getState',
-        args: []
-      }));
-      const state = JSON.parse(response);
-      this.isActive = state.isActive ?? true; // Default to ON if undefined
-      logger.log(`📊 Current state: ${this.isActive ? 'ON (automatic)' : 'OFF'}`);
-    } catch (error) {
-      logger.error('Error checking state:', error);
-      this.isActive = true; // Default to ON on error for automatic translation
-    }
+      
+      .${this.ERROR_CLASS} {
+        font-size: 13px;
+        line-height: 1.375rem;
+        margin-top: 2px;
+        color: var(--text-danger, #f23f43);
+        opacity: 0.8;
+      }
+      
+      .${this.ERROR_CLASS} button {
+        background: none;
+        border: none;
+        padding: 0;
+        margin-left: 6px;
+        font: inherit;
+        color: var(--text-link, #00a8fc);
+        cursor: pointer;
+      }
+      
+      .${this.ERROR_CLASS} button:hover {
+        text-decoration: underline;
+      }
+      
+      /* Translation look, the variables are set on the root element by applyTheme */
+      /* Without a colour (auto theme) translations use Discord's muted text colour */
+      :root {
+        --discord-translator-font-size: 14px;
+        --discord-translator-opacity: 0.8;
+        --discord-translator-prefix: none;
+      }
+      
+      :root[data-discord-translator-theme="light"] {
+        --discord-translator-color: #5c5e66;
+      }
+      
+      :root[data-discord-translator-theme="dark"] {
+        --discord-translator-color: #b5bac1;
+      }
+      
+      .${this.TRANSLATION_CLASS} {
+        margin-top: 2px;
+        font-family: "gg sans", "Noto Sans", "Helvetica Neue", Helvetica, Arial, sans-serif;
+        font-size: var(--discord-translator-font-size);
+        line-height: max(1.375rem, 1.375em);
+        color: var(--discord-translator-color, var(--text-muted, #949ba4));
+        opacity: var(--discord-translator-opacity);
+      }
+      
+      .${this.TRANSLATION_CLASS}::before {
+        content: var(--discord-translator-prefix);
+      }
+      
+      .${this.TRANSLATION_CLASS}.collapsed::before {
+        content: none;
+      }
+      
+      /* Debug styling: yellow background and red border */
+      .${this.DEBUG_CLASS} .${this.TRANSLATION_CLASS} {
+        --discord-translator-opacity: 1;
+        padding: 8px 12px;
+        border: 2px solid #ff0000;
+        border-radius: 4px;
+        background: #ffff00;
+      }
+      
+      /* Visually hidden, only read by screen readers */
+      .${this.LIVE_REGION_CLASS} {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
+      
+      /* Formatting inside translations, same look as Discord's message markup */
+      .${this.TRANSLATION_CLASS} b {
+        font-weight: 700;
+      }
+      
+      .${this.TRANSLATION_CLASS} h1,
+      .${this.TRANSLATION_CLASS} h2,
+      .${this.TRANSLATION_CLASS} h3 {
+        margin: 8px 0 0;
+        font-weight: 700;
+        line-height: 1.375em;
+      }
+      
+      .${this.TRANSLATION_CLASS} h1 { font-size: 1.5rem; }
+      .${this.TRANSLATION_CLASS} h2 { font-size: 1.25rem; }
+      .${this.TRANSLATION_CLASS} h3 { font-size: 1rem; }
+      
+      .${this.TRANSLATION_CLASS} small {
+        display: block;
+        font-size: 0.8125rem;
+      }
+      
+      .${this.TRANSLATION_CLASS} ul,
+      .${this.TRANSLATION_CLASS} ol {
+        margin: 4px 0 0 16px;
+        padding: 0;
+      }
+      
+      .${this.TRANSLATION_CLASS} blockquote {
+        margin: 0;
+        padding: 0 8px 0 12px;
+        border-left: 4px solid var(--background-modifier-accent, #4e5058);
+        border-radius: 4px;
+      }
+      
+      .${this.TRANSLATION_CLASS} p {
+        margin: 0;
+      }
+      
+      .${MessageContent.SPOILER_CLASS} {
+        border-radius: 3px;
+        padding: 0 2px;
+        cursor: pointer;
+        color: transparent;
+        background: var(--spoiler-hidden-background, #1e1f22);
+      }
+      
+      .${MessageContent.SPOILER_CLASS}:not(.revealed) * {
+        visibility: hidden;
+      }
+      
+      .${MessageContent.SPOILER_CLASS}.revealed {
+        cursor: auto;
+        color: inherit;
+        background: var(--spoiler-revealed-background, rgba(79, 84, 92, 0.16));
+      }
+      
+      .${this.EDITED_CLASS} {
+        margin-left: 4px;
+        font-size: 0.625rem;
+        color: var(--text-muted, #949ba4);
+      }
+      
+      /* Per-message actions, shown while the translation is hovered or focused */
+      .${this.ACTIONS_CLASS} {
+        user-select: none;
+        display: inline-flex;
+        align-items: center;
+        gap: 2px;
+        margin-left: 6px;
+        vertical-align: middle;
+        opacity: 0;
+        transition: opacity 0.2s ease;
+      }
+      
+      .${this.TRANSLATION_CLASS}:hover .${this.ACTIONS_CLASS},
+      .${this.ACTIONS_CLASS}:focus-within,
+      .${this.ACTIONS_CLASS}[aria-busy="true"],
+      .${this.TRANSLATION_CLASS}.collapsed .${this.ACTIONS_CLASS} {
+        opacity: 1;
+      }
+      
+      .${this.ACTIONS_CLASS} button,
+      .${this.ACTIONS_CLASS} select {
+        padding: 0 4px;
+        border: none;
+        border-radius: 3px;
+        background: none;
+        font-size: 12px;
+        line-height: 16px;
+        color: var(--interactive-normal, #b5bac1);
+        cursor: pointer;
+      }
+      
+      .${this.ACTIONS_CLASS} select {
+        background: var(--background-secondary, #2b2d31);
+      }
+      
+      .${this.ACTIONS_CLASS} button:hover,
+      .${this.ACTIONS_CLASS} button:focus-visible {
+        background: var(--background-modifier-hover, rgba(79, 84, 92, 0.16));
+        color: var(--interactive-hover, #dbdee1);
+      }
+      
+      .${this.ACTIONS_CLASS} .override {
+        display: inline-flex;
+        gap: 2px;
+      }
+      
+      .${this.ACTIONS_CLASS} .status {
+        margin-left: 4px;
+        font-size: 11px;
+        color: var(--text-muted, #949ba4);
+      }
+      
+      .${this.ACTIONS_CLASS}[aria-busy="true"] button {
+        cursor: progress;
+      }
+      
+      /* Hidden translation keeps only the button to show it again */
+      .${this.TRANSLATION_CLASS}.collapsed > :not(.${this.ACTIONS_CLASS}),
+      .${this.TRANSLATION_CLASS}.collapsed .${this.ACTIONS_CLASS} > :not([data-action="toggle"]) {
+        display: none;
+      }
+      
+      .${this.TRANSLATION_CLASS}.collapsed .${this.ACTIONS_CLASS} {
+        margin-left: 0;
+      }
+      
+      /* Translation in place of the original */
+      .${this.TRANSLATION_CLASS}.swapped {
+        --discord-translator-opacity: 1;
+        --discord-translator-color: var(--text-normal, #dbdee1);
+      }
+      
+      .${this.ORIGINAL_CLASS} {
+        opacity: 0.6;
+      }
+      
+      /* Replace mode: the original is hidden, the translation stands in its place */
+      .${this.REPLACED_CLASS} {
+        display: none !important;
+      }
+      
+      /* Originals come back while translations are hidden or the message is being edited */
+      :is(.${this.HIDDEN_CLASS}, [id^="chat-messages-"]:has([role="textbox"])) .${this.REPLACED_CLASS} {
+        display: revert !important;
+      }
+      
+      .${this.TRANSLATION_CLASS}.replace {
+        --discord-translator-opacity: 1;
+        --discord-translator-color: var(--text-normal, #dbdee1);
+        position: relative;
+      }
+      
+      .${this.TRANSLATION_CLASS}.replace:not(.collapsed) {
+        cursor: pointer;
+      }
+      
+      .${this.TRANSLATION_CLASS} > .original-text {
+        display: none;
+      }
+      
+      .${this.TRANSLATION_CLASS}.replace:not(.collapsed):hover > .original-text,
+      .${this.TRANSLATION_CLASS}.tooltip {
+        position: absolute;
+        z-index: 20;
+        max-width: 480px;
+        padding: 6px 10px;
+        border-radius: 6px;
+        background: var(--background-floating, #111214);
+        --discord-translator-opacity: 1;
+        --discord-translator-color: var(--text-normal, #dbdee1);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.24);
+        white-space: pre-wrap;
+      }
+      
+      .${this.TRANSLATION_CLASS}.replace:not(.collapsed):hover > .original-text {
+        display: block;
+        top: 100%;
+        left: 0;
+        font-size: 14px;
+      }
+      
+      /* Tooltip mode: shown below the original (static position) while it or the message is hovered or focused */
+      .${this.TRANSLATION_CLASS}.tooltip {
+        display: none;
+        margin-top: 0;
+      }
+      
+      .${this.TOOLTIP_TARGET_CLASS} {
+        cursor: help;
+      }
+      
+      .${this.TOOLTIP_TARGET_CLASS}:hover + .${this.TRANSLATION_CLASS}.tooltip,
+      .${this.TRANSLATION_CLASS}.tooltip:hover,
+      .${this.TRANSLATION_CLASS}.tooltip:focus-within,
+      [id^="chat-messages-"]:focus .${this.TRANSLATION_CLASS}.tooltip {
+        display: block;
+      }
+      
+      .${this.TRANSLATION_CLASS}.replace .${this.ACTIONS_CLASS} [data-action="swap"],
+      .${this.TRANSLATION_CLASS}.tooltip .${this.ACTIONS_CLASS} [data-action="swap"] {
+        display: none;
+      }
+      
+      /* Translations hidden in the current channel (keyboard shortcut) */
+      .${this.HIDDEN_CLASS} .${this.TRANSLATION_CLASS},
+      .${this.HIDDEN_CLASS} .${this.ERROR_CLASS} {
+        display: none;
+      }
+      
+      .${this.LANGUAGE_BADGE_CLASS} {
+        display: inline-block;
+        margin-right: 6px;
+        padding: 0 4px;
+        border-radius: 3px;
+        font-size: 10px;
+        font-weight: 600;
+        line-height: 16px;
+        vertical-align: 1px;
+        text-transform: uppercase;
+        background: var(--background-modifier-accent, rgba(79, 84, 92, 0.16));
+        color: var(--text-muted, #949ba4);
+        cursor: default;
+      }
+    `;
+    
+    document.head.appendChild(styleElement);
+    logger.debug('Flag icon styles injected');
   }
 
-  /**
-   * Set translator active state
-   */
-  setActive(isActive) {
-    this.isActive = isActive;
-    logger.log(`🔄 Translator ${isActive ? 'activated' : 'deactivated'}`);
+  async start() {
+    // Load server and language settings before anything is translated
+    await this.loadSettings();
 
-    if (isActive) {
-      this.startProcessing();
-    } else {
-      this.stopProcessing();
-    }
-  }
+    logger.log('='.repeat(60));
+    logger.log('Discord Translator initialized by Tomáš Mark');
+    logger.log('='.repeat(60));
+    logger.log('Configuration:');
+    logger.log(`  Debug Enabled: ${CONFIG.DEBUG_ENABLED}`);
+    logger.log(`  Debug Verbose: ${CONFIG.DEBUG_VERBOSE}`);
+    logger.log(`  Debug API: ${CONFIG.DEBUG_API_REQUESTS}`);
+    logger.log(`  Provider: ${TranslationService.getProvider().name}`);
+    logger.log(`  API URL: ${CONFIG.API_URL}`);
+    logger.log(`  Target Language: ${TranslationService.getTargetLanguage()}${CONFIG.TARGET_LANGUAGE ? '' : ' (automatic)'}`);
+    logger.log(`  API Delay: ${CONFIG.API_DELAY_MS}ms`);
+    logger.log(`  Batch Limits: ${CONFIG.BATCH_MAX_SIZE} messages / ${CONFIG.BATCH_MAX_CHARS} chars`);
+    logger.log(`  Cycle Delay: ${CONFIG.CYCLE_DELAY_MS}ms`);
+    logger.log(`  Debug Styling: ${CONFIG.DEBUG_STYLING ? 'ON (yellow+red)' : 'OFF (subtle gray)'}`);
+    logger.log(`  Manual Translation: ${CONFIG.MANUAL_TRANSLATION ? 'ON (flag icons)' : 'OFF (auto-translate)'}`);
+    logger.log(`  Channel Rules: ${Object.keys(CONFIG.TRANSLATION_RULES).length}`);
+    logger.log(`  Min Confidence: ${CONFIG.MIN_CONFIDENCE}%`);
+    logger.log(`  Never From: ${CONFIG.NEVER_TRANSLATE_FROM.join(', ') || '-'} / Only From: ${CONFIG.ONLY_TRANSLATE_FROM.join(', ') || 'all'}`);
+    logger.log('='.repeat(60));
 
-  /**
-   * Start processing messages
-   */
-  async startProcessing() {
-    if (this.processingInterval) {
-      return; // Already running
-    }
+    // Get initial state from background (but default to ON)
+    await this.checkState();
 
-    logger.log('▶️ Starting message processing loop...');
-    
-    // Process immediately
-    await this.processMessages();
+    // Listen for state changes (for manual toggle if needed)
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      try {
+        const { type, args } = JSON.parse(message);
+        if (type === 'stateChanged') {
+          const [isActive] = args;
+          this.setActive(isActive);
+          sendResponse(JSON.stringify({ success: true }));
+        } else if (type === 'cacheCleared') {
+          this.translationCache.clear();
+          logger.log('🗑️ Translation cache cleared');
+          sendResponse(JSON.stringify({ success: true }));
+        } else if (type === 'translateSelection') {
+          const [selectionText] = args;
+          this.selection.translateSelection(selectionText);
+          sendResponse(JSON.stringify({ success: true }));
+        } else if (type === 'command') {
+          const [command] = args;
+          this.handleCommand(command);
+          sendResponse(JSON.stringify({ success: true }));
+        }
+      } catch (error) {
+        logger.error('Error handling message:', error);
+      }
+      return true;
+    });
 
-    // Then process periodically
-    this.processingInterval = setInterval(async () => {
-      if (this.isActive) {
-        await this.processMessages();
+    // Apply settings changes from the options page live
+    const removeSettingsListener = Settings.onChanged((changes) => this.applySettings(changes));
+    this.context.onInvalidated(removeSettingsListener);
+
+    // Discord switches its UI language without a reload, an automatic target language follows it
+    let targetLanguage = TranslationService.getTargetLanguage();
+    const languageObserver = new MutationObserver(() => {
+      const previous = targetLanguage;
+      targetLanguage = TranslationService.getTargetLanguage();
+      if (targetLanguage !== previous) {
+        logger.log(`🌐 Discord language changed, translating to ${targetLanguage}`);
+        this.resetTranslations();
       }
-    }, CONFIG.CYCLE_DELAY_MS);
+    });
+    languageObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
+    this.context.onInvalidated(() => languageObserver.disconnect());
+
+    this.composer.start();
+    this.selection.start();
+
+    document.addEventListener('click', (event) => this.handleTranslationClick(event), {
+      signal: this.context.signal
+    });
+    document.addEventListener('copy', (event) => this.handleCopy(event), {
+      signal: this.context.signal
+    });
+
+    // Remember the hovered message for the translate-message shortcut
+    const trackHover = (event) => { this.hoveredElement = event.target; };
+    document.addEventListener('mouseover', trackHover, { passive: true });
+    this.context.onInvalidated(() => document.removeEventListener('mouseover', trackHover));
+
+    // Wait for Discord to load messages
+    await delay(3000);
+    
+    // Always start processing automatically on Discord
+    logger.log('🚀 Starting automatic message translation...');
+    await this.startProcessing();
   }
 
   /**
-   * Stop processing messages
+   * Load stored settings into CONFIG
    */
-  stopProcessing() {
-    if (this.processingInterval) {
-      clearInterval(this.processingInterval);
-      this.processingInterval = null;
-      logger.log('⏸️ Message processing stopped');
+  async loadSettings() {
+    try {
+      const settings = await Settings.load();
+      await I18n.load(settings.uiLanguage);
+      this.applySettings(settings, { initial: true });
+    } catch (error) {
+      logger.error('Error loading settings, using defaults:', error);
     }
   }
 
   /**
-   * Send stats to background
+   * Apply changed settings to CONFIG
+   * Translations are redone when the provider, server, mode or target language changes
    */
-  async sendStats() {
-    // Check if chrome runtime is still valid
-    if (!chrome?.runtime?.id) {
-      logger.debug('Chrome runtime not available, skipping stats update');
-      return;
+  applySettings(settings, { initial = false } = {}) {
+    const previousRule = this.getChannelRule();
+    let needsRetranslate = false;
+
+    for (const [key, value] of Object.entries(settings)) {
+      const configKey = SETTINGS_TO_CONFIG[key];
+      if (configKey && CONFIG[configKey] !== value) {
+        CONFIG[configKey] = value;
+        needsRetranslate = needsRetranslate || RETRANSLATE_SETTINGS.includes(key);
+        // API keys stay out of the log, also those saved for other providers
+        const shown = key === 'providerConfigs' ? Settings.withoutSecrets({ providerConfigs: value }).providerConfigs : value;
+        logger.log(`⚙️ Setting ${key} = ${SECRET_SETTINGS.includes(key) ? '***' : JSON.stringify(shown)}`);
+      }
     }
 
-    try {
-      await chrome.runtime.sendMessage(JSON.stringify({
-        type: 'updateStats',
-        args: [{
-          translated: this.messageTranslations.size,
-          cached: this.translationCache.size
-        }]
-      }));
-    } catch (error) {
-      // Background might not be ready or extension was reloaded, ignore
-      logger.debug('Failed to send stats:', error.message);
+    // Mode or target language of the current channel changed (global setting or rule)
+    const rule = this.getChannelRule();
+    if (rule.mode !== previousRule.mode || rule.targetLanguage !== previousRule.targetLanguage) {
+      needsRetranslate = true;
+    }
+
+    this.applyTheme();
+
+    this.translationCache.configure({
+      maxEntries: Math.min(CONFIG.CACHE_MAX_ENTRIES, CONFIG.MEMORY_CACHE_MAX_ENTRIES),
+      ttlMs: CONFIG.CACHE_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+
+    // Displayed translations switch to the new display mode without re-translating
+    if ('displayMode' in settings && !initial && !needsRetranslate) {
+      this.messageTranslations.forEach((displayed, messageId) => this.applyMessageState(messageId));
+    }
+
+    // New prefetch margin needs new visibility observers, the watchdog re-attaches them
+    if ('prefetchMarginPx' in settings && !initial) {
+      this.observedList = null;
+    }
+
+    if ('uiLanguage' in settings && !initial) {
+      // Icons and toolbars are built again with the new strings, translations come from the cache
+      I18n.load(settings.uiLanguage).then(() => this.resetTranslations());
+    } else if (needsRetranslate && !initial) {
+      this.resetTranslations();
     }
   }
 
   /**
-   * Get unique ID for a message element
-   * Uses Discord's message ID from parent container
+   * Set the translation look (theme, font size, opacity, prefix) as CSS variables on the root element
+   * Displayed translations follow immediately, nothing is rendered again
    */
-  getMessageId(markupElement) {
-    // Try to find parent message container with ID
-    let current = markupElement;
-    while (current && current !== document.body) {
-      // Discord message IDs are in format: chat-messages-{channelId}-{messageId}
-      if (current.id && current.id.includes('chat-messages-')) {
-        return current.id;
-      }
-      // Also check for message content ID
-      if (current.id && current.id.startsWith('message-content-')) {
-        return current.id;
-      }
-      current = current.parentElement;
-    }
+  applyTheme() {
+    const root = document.documentElement;
+    root.dataset.discordTranslatorTheme = CONFIG.TRANSLATION_THEME;
+    root.classList.toggle(this.DEBUG_CLASS, CONFIG.DEBUG_STYLING);
+
+    root.style.setProperty('--discord-translator-font-size', `${CONFIG.TRANSLATION_FONT_SIZE}px`);
+    root.style.setProperty('--discord-translator-opacity', String(CONFIG.TRANSLATION_OPACITY / 100));
 
-    // Fallback: use text content hash + position
-    const text = markupElement.textContent.trim();
-    const position = Array.from(document.querySelectorAll('[class*="markup"]')).indexOf(markupElement);
-    return `msg-${this.simpleHash(text)}-${position}`;
+    // CSS string for ::before content, line breaks are not kept
+    const prefix = CONFIG.TRANSLATION_PREFIX.replace(/\s+/g, ' ');
+    root.style.setProperty('--discord-translator-prefix', prefix ? JSON.stringify(prefix) : 'none');
+
+    if (CONFIG.TRANSLATION_THEME === 'custom' && CSS.supports('color', CONFIG.TRANSLATION_COLOR)) {
+      root.style.setProperty('--discord-translator-color', CONFIG.TRANSLATION_COLOR);
+    } else {
+      root.style.removeProperty('--discord-translator-color');
+    }
   }
 
   /**
-   * Simple hash function for text
+   * Remove all displayed translations and icons and translate visible messages again
    */
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  resetTranslations() {
+    logger.log('♻️ Settings changed, re-translating visible messages');
+
+    // Cache keys include provider and language, so the cache stays valid
+    this.processedMessages.clear();
+    this.messageTranslations.clear();
+    this.translationStore.clear();
+    this.editedMessages.clear();
+    this.failedMessages.clear();
+
+    document.querySelectorAll(`.${this.TRANSLATION_CLASS}, .${this.ERROR_CLASS}, .${this.FLAG_CONTAINER_CLASS}`)
+      .forEach(el => el.remove());
+    document.querySelectorAll(`[${this.PROCESSED_ATTRIBUTE}]`)
+      .forEach(el => el.removeAttribute(this.PROCESSED_ATTRIBUTE));
+    document.querySelectorAll(`.${this.ORIGINAL_CLASS}, .${this.REPLACED_CLASS}, .${this.TOOLTIP_TARGET_CLASS}`)
+      .forEach(el => this.clearOriginalClasses(el));
+
+    if (this.isActive && this.processingInterval) {
+      this.processMessages();
     }
-    return Math.abs(hash).toString(36);
   }
 
   /**
-   * Check if element is visible in viewport
+   * Effective mode and target language for the open channel (server/channel rules applied)
    */
-  isElementVisible(element) {
-    const rect = element.getBoundingClientRect();
-    const windowHeight = window.innerHeight || document.documentElement.clientHeight;
-    const windowWidth = window.innerWidth || document.documentElement.clientWidth;
+  getChannelRule() {
+    return Settings.resolveRule({
+      manualTranslation: CONFIG.MANUAL_TRANSLATION,
+      targetLanguage: TranslationService.getTargetLanguage(),
+      translationRules: CONFIG.TRANSLATION_RULES
+    }, Settings.getChannelLocation(window.location.href));
+  }
 
-    // Element is visible if any part is in viewport
-    const vertInView = (rect.top <= windowHeight) && ((rect.top + rect.height) >= 0);
-    const horInView = (rect.left <= windowWidth) && ((rect.left + rect.width) >= 0);
+  /**
+   * Name of the open channel's target language in the UI language, for tooltips
+   */
+  getTargetLanguageName() {
+    return I18n.languageName(this.getChannelRule().targetLanguage);
+  }
 
-    return vertInView && horInView;
+  /**
+   * Cache key for a text with the current provider and target language
+   */
+  getCacheKey(text) {
+    return TranslationCache.key(text, { to: this.getChannelRule().targetLanguage, provider: CONFIG.PROVIDER });
   }
 
   /**
-   * Get current Discord channel ID from URL or DOM
+   * Look up cached translations in memory first, then in the shared background cache
+   * Returns Map text -> { translatedText, detectedLanguage }
    */
-  getCurrentChannelId() {
-    // Method 1: From URL (most reliable)
-    const urlMatch = window.location.pathname.match(/\/channels\/(\d+)\/(\d+)/);
-    if (urlMatch) {
-      return urlMatch[2]; // Return channel ID (second number)
+  async getCachedTranslations(texts) {
+    const found = new Map();
+    const missing = new Map(); // cache key -> text
+
+    for (const text of texts) {
+      const key = this.getCacheKey(text);
+      const cached = this.translationCache.get(key);
+      if (cached) {
+        found.set(text, cached);
+      } else {
+        missing.set(key, text);
+      }
     }
 
-    // Method 2: From DOM - look for channel name element
-    const channelName = document.querySelector('[class*="title"]');
-    if (channelName) {
-      return `channel-${this.simpleHash(channelName.textContent)}`;
+    if (missing.size === 0 || !chrome?.runtime?.id) {
+      return found;
     }
 
-    return 'unknown-channel';
+    try {
+      const response = await chrome.runtime.sendMessage(JSON.stringify({
+        type: 'cacheGet',
+        args: [Array.from(missing.keys())]
+      }));
+      const hits = JSON.parse(response);
+
+      for (const [key, value] of Object.entries(hits)) {
+        this.translationCache.set(key, value);
+        found.set(missing.get(key), value);
+      }
+      logger.debug(`📦 Shared cache: ${Object.keys(hits).length}/${missing.size} hits`);
+    } catch (error) {
+      // Shared cache is an optimisation, translate normally when it's unavailable
+      logger.debug('Shared cache lookup failed:', error.message);
+    }
+
+    return found;
   }
 
   /**
-   * Check if channel changed and reset processed messages if needed
+   * Store translation in memory and queue it for the shared background cache
    */
-  checkChannelChange() {
-    const newChannelId = this.getCurrentChannelId();
-
-    if (this.currentChannelId !== newChannelId) {
-      logger.log(`📺 Channel changed: ${this.currentChannelId || 'none'} → ${newChannelId}`);
+  cacheTranslation(text, result) {
+    const key = this.getCacheKey(text);
+    const value = {
+      translatedText: result.translatedText,
+      detectedLanguage: result.detectedLanguage ?? null
+    };
 
-      // Clear processed messages (but keep translation cache for speed)
-      this.processedMessages.clear();
-      this.messageTranslations.clear();
+    this.translationCache.set(key, value);
+    this.pendingCacheWrites.set(key, value);
 
-      logger.log(`🗑️ Cleared processed messages (${this.translationCache.size} translations in cache)`);
-
-      this.currentChannelId = newChannelId;
-      return true; // Channel changed
+    if (!this.cacheWriteTimeout) {
+      this.cacheWriteTimeout = setTimeout(() => this.flushCacheWrites(), CONFIG.CACHE_WRITE_DELAY_MS);
     }
+  }
 
-    return false; // Same channel
+  /**
+   * Send queued translations to the shared background cache in one message
+   */
+  async flushCacheWrites() {
+    this.cacheWriteTimeout = null;
+    if (this.pendingCacheWrites.size === 0 || !chrome?.runtime?.id) return;
+
+    const entries = Array.from(this.pendingCacheWrites.entries());
+    this.pendingCacheWrites.clear();
+
+    try {
+      await chrome.runtime.sendMessage(JSON.stringify({
+        type: 'cacheSet',
+        args: [entries]
+      }));
+      logger.debug(`💾 Saved ${entries.length} translations to shared cache`);
+    } catch (error) {
+      logger.debug('Failed to save translations to shared cache:', error.message);
+    }
   }
 
   /**
-   * Add clickable translation icons to messages for manual translation
+   * Check current state from background
    */
-  async addFlagIcons() {
-    // Use the best selector that finds message content reliably
-    const allMessages = document.querySelectorAll('[class*="markup"]');
-    
-    logger.debug(`Found ${allMessages.length} total messages to check for translation icons`);
+  async checkState() {
+    // Check if chrome runtime is still valid
+    if (!chrome?.runtime?.id) {
+      logger.error('Chrome runtime not available');
+      this.isActive = true; // Default to ON for automatic translation
+      return;
+    }
 
-    let flagsAdded = 0;
-    let flagsSkipped = 0;
+    try {
+      const response = await chrome.runtime.sendMessage(JSON.stringify({
+        type: 'getState',
+        args: []
+      }));
+      const state = JSON.parse(response);
+      this.isActive = state.isActive ?? true; // Default to ON if undefined
+      logger.log(`📊 Current state: ${this.isActive ? 'ON (automatic)' : 'OFF'}`);
+    } catch (error) {
+      logger.error('Error checking state:', error);
+      this.isActive = true; // Default to ON on error for automatic translation
+    }
+  }
 
-    for (const messageElement of allMessages) {
-      try {
-        const messageId = this.getMessageId(messageElement);
-        
-        // Skip messages being edited
-        if (this.isMessageBeingEdited(messageElement)) {
-          flagsSkipped++;
-          continue;
-        }
-        
-        // Skip if already has flag icon
-        if (this.processedMessages.has(messageId)) {
-          flagsSkipped++;
-          continue;
-        }
-        
-        // Check if flag already exists near this message
-        if (this.hasFlagNearby(messageElement)) {
-          this.processedMessages.add(messageId);
-          flagsSkipped++;
-          continue;
-        }
+  /**
+   * Set translator active state
+   */
+  setActive(isActive) {
+    this.isActive = isActive;
+    logger.log(`🔄 Translator ${isActive ? 'activated' : 'deactivated'}`);
 
-        // Skip if message is already translated
-        if (this.messageTranslations.has(messageId)) {
-          this.processedMessages.add(messageId);
-          flagsSkipped++;
-          continue;
-        }
+    if (isActive) {
+      this.startProcessing();
+    } else {
+      this.stopProcessing();
+    }
+  }
 
-        // Skip embeds and replies (same logic as in processMessages)
-        if (this.shouldSkipMessage(messageElement)) {
-          continue;
-        }
+  /**
+   * Start processing messages
+   */
+  async startProcessing() {
+    if (this.processingInterval) {
+      return; // Already running
+    }
 
-        // Skip if no content
-        const hasContent = messageElement.textContent.trim().length > 0;
-        if (!hasContent) {
-          continue;
-        }
+    logger.log('▶️ Starting message observer...');
 
-        // Only add flag to visible messages
-        if (!this.isElementVisible(messageElement)) {
-          continue;
-        }
+    this.messageObserver = new MutationObserver((mutations) => this.handleMutations(mutations));
+    this.createVisibilityObservers(null);
 
-        // Debug message structure if needed
-        this.analyzeMessageStructure(messageElement);
+    // Watchdog: re-attach after channel switches, run due retries, full scan without a list
+    this.processingInterval = setInterval(() => this.checkObservedList(), CONFIG.LIST_CHECK_MS);
 
-        // Find a good place to add the translation icon
-        const flagContainer = this.createFlagIcon(messageElement, messageId);
-        if (flagContainer) {
-          flagsAdded++;
-          this.processedMessages.add(messageId);
-        }
+    // Process everything already on screen
+    this.attachMessageObserver();
+    await this.processMessages();
+  }
 
-      } catch (error) {
-        logger.error('Error adding translation icon:', error);
-      }
+  /**
+   * Stop processing messages
+   */
+  stopProcessing() {
+    if (this.processingInterval) {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+      this.messageObserver?.disconnect();
+      this.messageObserver = null;
+      this.observedList = null;
+      this.disconnectVisibilityObservers();
+      clearTimeout(this.observerDebounce);
+      this.pendingElements.clear();
+      logger.log('⏸️ Message processing stopped');
     }
+  }
 
-    logger.log(`� Translation icons: ${flagsAdded} added, ${flagsSkipped} skipped`);
+  /**
+   * Find Discord's message list (main chat, threads and forum posts use the same list ID)
+   */
+  findMessageList() {
+    return document.querySelector('[data-list-id="chat-messages"]') ||
+      document.querySelector('[class*="scrollerInner"]');
   }
 
   /**
-   * Check if message is being edited
+   * Start observing the current message list, returns false if there is none
    */
-  isMessageBeingEdited(messageElement) {
-    // Check if the message element itself contains edit fields
-    if (messageElement.querySelector('textarea, [contenteditable="true"]')) {
-      return true;
+  attachMessageObserver() {
+    const list = this.findMessageList();
+    if (!list) {
+      return false;
     }
 
-    // Check parent message container
-    let parent = messageElement.parentElement;
-    let depth = 0;
-    while (parent && parent !== document.body && depth < 10) {
-      // Check if this is a message container
-      if (parent.role === 'article' || parent.classList?.contains('message')) {
-        // Check if it contains edit fields
-        if (parent.querySelector('textarea, [contenteditable="true"]')) {
-          return true;
-        }
-        break; // Found message container, stop searching
+    if (list !== this.observedList) {
+      this.messageObserver.disconnect();
+      this.messageObserver.observe(list, { childList: true, subtree: true, characterData: true });
+      this.observedList = list;
+      this.createVisibilityObservers(this.findScrollRoot(list));
+      logger.log('👀 Observing message list');
+    }
+
+    return true;
+  }
+
+  /**
+   * Watchdog tick: Discord replaces the list element on channel switch
+   */
+  checkObservedList() {
+    if (!this.isActive || this.context.isInvalid) return;
+
+    const listReplaced = !this.observedList?.isConnected || this.findMessageList() !== this.observedList;
+    if (listReplaced) {
+      if (this.attachMessageObserver()) {
+        this.scheduleProcessing(this.observedList.querySelectorAll('[class*="markup"]'));
+      } else if (Date.now() - this.lastFullScan >= CONFIG.CYCLE_DELAY_MS) {
+        // Fallback: no list found (unknown layout), scan the whole document
+        this.lastFullScan = Date.now();
+        this.processMessages();
       }
-      parent = parent.parentElement;
-      depth++;
+      return;
+    }
+
+    // Failed messages are retried once their backoff delay has passed
+    if (this.hasRetryDue()) {
+      this.scheduleProcessing(this.observedList.querySelectorAll('[class*="markup"]'));
     }
+  }
 
+  /**
+   * Check if any failed message is waiting for an automatic retry that is due now
+   */
+  hasRetryDue() {
+    for (const messageId of this.failedMessages.keys()) {
+      if (this.isRetryDue(messageId)) return true;
+    }
     return false;
   }
 
   /**
-   * Check if message should be skipped (embeds, replies, etc.)
+   * Check if a node was inserted by the translator itself
    */
-  shouldSkipMessage(messageElement) {
-    const messageId = this.getMessageId(messageElement);
+  isOwnElement(element) {
+    return !!element.closest?.(
+      `.${this.TRANSLATION_CLASS}, .${this.ERROR_CLASS}, .${this.FLAG_CONTAINER_CLASS}`
+    );
+  }
 
-    // Skip messages being edited
-    if (this.isMessageBeingEdited(messageElement)) {
-      logger.debug(`⏭️ Skipping message being edited [${messageId}]`);
-      return true;
+  /**
+   * Collect message markup elements inside or around a changed node
+   */
+  collectMarkupElements(node, into) {
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!(element instanceof Element) || this.isOwnElement(element)) return;
+
+    const markup = element.closest('[class*="markup"]');
+    if (markup) {
+      into.add(markup);
     }
+    element.querySelectorAll('[class*="markup"]').forEach(el => into.add(el));
+  }
 
-    // Skip embeds
-    let current = messageElement.parentElement;
-    while (current && current !== document.body) {
-      const classList = current.classList ? Array.from(current.classList).join(' ') : '';
-      const className = current.className || '';
+  /**
+   * React to added, changed and removed message nodes
+   */
+  handleMutations(mutations) {
+    const changed = new Set();
 
-      if (classList.includes('embed') ||
-          classList.includes('messageAccessories') ||
-          classList.includes('container') && classList.includes('embedWrapper') ||
-          className.includes('embed') ||
-          current.id?.includes('message-accessories')) {
-        logger.debug(`⏭️ Skipping embed element [${messageId}]`);
-        return true;
+    for (const mutation of mutations) {
+      if (mutation.type === 'characterData') {
+        this.collectMarkupElements(mutation.target, changed);
+        continue;
       }
-      current = current.parentElement;
+
+      mutation.addedNodes.forEach(node => this.collectMarkupElements(node, changed));
+
+      mutation.removedNodes.forEach(node => {
+        const removed = new Set();
+        this.collectMarkupElements(node, removed);
+        removed.forEach(el => this.forgetRemovedMessage(el));
+      });
     }
 
-    // Skip replies/quotes
-    let parent = messageElement.parentElement;
-    while (parent && parent !== document.body) {
-      const classList = parent.classList ? Array.from(parent.classList).join(' ') : '';
-      if (classList.includes('repliedMessage') ||
-          classList.includes('repliedText') ||
-          parent.id?.startsWith('message-reply-context')) {
-        logger.debug(`⏭️ Skipping quoted/reply element [${messageId}]`);
-        return true;
-      }
-      parent = parent.parentElement;
+    if (changed.size > 0) {
+      this.scheduleProcessing(changed);
     }
+  }
 
-    return false;
+  /**
+   * Discord removed a message node - forget it so a re-created node gets processed again
+   */
+  forgetRemovedMessage(markupElement) {
+    this.pendingElements.delete(markupElement);
+    this.unobserveVisibility(markupElement);
+
+    // Reply previews and embeds are never translated, their removal says nothing about the message
+    if (this.shouldSkipMessage(markupElement)) {
+      return;
+    }
+
+    const messageId = this.getMessageId(markupElement);
+    const stored = this.messageTranslations.get(messageId);
+    if (!stored || stored.element === markupElement) {
+      // Discord may replace only the message content, the translation next to it would stay behind
+      stored?.translationElement.remove();
+      this.messageTranslations.delete(messageId);
+      this.processedMessages.delete(messageId);
+    }
   }
 
   /**
-   * Create and insert a clickable Czech flag icon next to a message
+   * Find the scrolling container of the message list
+   * Prefetch margins only work when the scroller is the observer root
    */
-  createFlagIcon(messageElement, messageId) {
-    try {
-      logger.debug(`Creating flag icon for message [${messageId}]`);
-      
-      const targetParent = messageElement.parentElement;
-      if (!targetParent) {
-        logger.debug(`No parent found for message [${messageId}]`);
-        return null;
-      }
-      
-      const flagContainer = this.createFlagElement(messageElement, messageId);
-      
-      // Simply add the flag after the message element as a sibling
-      // DO NOT wrap or move the original message element to avoid conflicts with Discord's edit functionality
-      if (messageElement.nextSibling) {
-        targetParent.insertBefore(flagContainer, messageElement.nextSibling);
-      } else {
-        targetParent.appendChild(flagContainer);
+  findScrollRoot(list) {
+    for (let element = list.parentElement; element && element !== document.body; element = element.parentElement) {
+      const { overflowY } = window.getComputedStyle(element);
+      if (overflowY === 'auto' || overflowY === 'scroll') {
+        return element;
       }
-      
-      logger.debug(`Flag icon placed for [${messageId}]`);
-      return flagContainer;
-
-    } catch (error) {
-      logger.error(`Error creating flag icon for message [${messageId}]:`, error);
-      return null;
     }
+    return null;
   }
-  
+
   /**
-   * Check if flag can be placed inline with message
+   * (Re)create visibility observers for a scroll root (null = viewport)
    */
-  canPlaceInline(messageElement) {
-    const style = window.getComputedStyle(messageElement);
-    const parent = messageElement.parentElement;
-    const parentStyle = window.getComputedStyle(parent);
-    
-    return (
-      style.display.includes('inline') ||
-      parentStyle.display === 'flex' ||
-      parent.tagName.toLowerCase() === 'span'
+  createVisibilityObservers(root) {
+    this.disconnectVisibilityObservers();
+
+    this.visibleObserver = new IntersectionObserver(
+      (entries) => this.handleVisibilityChange(entries, this.visibleMessages),
+      { root }
+    );
+    this.prefetchObserver = new IntersectionObserver(
+      (entries) => this.handleVisibilityChange(entries, this.nearbyMessages),
+      { root, rootMargin: `${CONFIG.PREFETCH_MARGIN_PX}px 0px` }
     );
   }
-  
+
+  disconnectVisibilityObservers() {
+    this.visibleObserver?.disconnect();
+    this.prefetchObserver?.disconnect();
+    this.visibleObserver = null;
+    this.prefetchObserver = null;
+    this.visibleMessages.clear();
+    this.nearbyMessages.clear();
+    this.observedElements = new WeakSet();
+  }
+
   /**
-   * Find the message wrapper/container in Discord's structure
+   * Track elements entering/leaving a zone, messages that come into range get processed
    */
-  findMessageWrapper(messageElement) {
-    let current = messageElement.parentElement;
-    let depth = 0;
-    const maxDepth = 5; // Prevent infinite loops
-    
-    while (current && current !== document.body && depth < maxDepth) {
-      const classList = Array.from(current.classList || []).join(' ');
-      const className = current.className || '';
-      
-      // Look for Discord message content patterns
-      if (
-        classList.includes('messageContent') ||
-        classList.includes('markup') && current !== messageElement ||
-        className.includes('content') ||
-        current.querySelector('[class*="timestamp"]') // Messages usually have timestamps nearby
-      ) {
-        logger.debug(`Found wrapper at depth ${depth}:`, current.className);
-        return current;
+  handleVisibilityChange(entries, zone) {
+    const entered = [];
+
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        zone.add(entry.target);
+        entered.push(entry.target);
+      } else {
+        zone.delete(entry.target);
       }
-      
-      current = current.parentElement;
-      depth++;
     }
-    
-    return null;
+
+    if (entered.length > 0) {
+      this.scheduleProcessing(entered);
+    }
   }
-  
+
   /**
-   * Check if there's already a flag icon near this message
+   * Check if message is on screen or in the prefetch zone
+   * Elements seen for the first time are registered and reported by the observer callback later
    */
-  hasFlagNearby(messageElement) {
-    // Check siblings
-    const parent = messageElement.parentElement;
-    if (!parent) return false;
-    
-    // Check next/previous siblings
-    const siblings = Array.from(parent.children);
-    const messageIndex = siblings.indexOf(messageElement);
-    
-    // Check 2 siblings in each direction
-    for (let i = Math.max(0, messageIndex - 2); i <= Math.min(siblings.length - 1, messageIndex + 2); i++) {
-      const sibling = siblings[i];
-      if (sibling.classList?.contains(this.FLAG_CONTAINER_CLASS) ||
-          sibling.querySelector(`.${this.FLAG_CONTAINER_CLASS}`)) {
-        return true;
-      }
+  isNearViewport(element) {
+    if (!this.observedElements.has(element) && this.prefetchObserver) {
+      this.observedElements.add(element);
+      this.visibleObserver.observe(element);
+      this.prefetchObserver.observe(element);
     }
-    
-    // Check if parent contains a flag
-    return parent.querySelector(`.${this.FLAG_CONTAINER_CLASS}`) !== null;
+
+    return this.nearbyMessages.has(element);
   }
 
   /**
-   * Debug helper - analyze message structure for flag placement
+   * Stop tracking visibility of a removed element
    */
-  analyzeMessageStructure(messageElement) {
-    if (!CONFIG.DEBUG_ENABLED) return;
-    
-    const messageId = this.getMessageId(messageElement);
-    const parent = messageElement.parentElement;
-    const style = window.getComputedStyle(messageElement);
-    const parentStyle = window.getComputedStyle(parent);
-    
-    logger.debug(`Message structure analysis [${messageId}]:`, {
-      element: messageElement.tagName,
-      elementClass: messageElement.className,
-      elementDisplay: style.display,
-      parent: parent.tagName,
-      parentClass: parent.className,
-      parentDisplay: parentStyle.display,
-      canPlaceInline: this.canPlaceInline(messageElement),
-      hasWrapper: !!this.findMessageWrapper(messageElement),
-      hasFlagNearby: this.hasFlagNearby(messageElement)
-    });
+  unobserveVisibility(element) {
+    this.visibleObserver?.unobserve(element);
+    this.prefetchObserver?.unobserve(element);
+    this.visibleMessages.delete(element);
+    this.nearbyMessages.delete(element);
+    this.observedElements.delete(element);
   }
 
   /**
-   * Create the flag icon element
+   * Queue changed markup elements and process them together after a short delay
    */
-  createFlagElement(messageElement, messageId) {
-    const flagContainer = document.createElement('span');
-    flagContainer.className = this.FLAG_CONTAINER_CLASS;
-    
-    const flagIcon = document.createElement('button');
-    flagIcon.className = this.FLAG_ICON_CLASS;
-    flagIcon.title = 'Přeložit do češtiny';
-    flagIcon.setAttribute('data-message-id', messageId);
-    
-    // Create translation icon SVG (subtle language swap icon)
-    flagIcon.innerHTML = `
-      <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
-        <path opacity="0.6" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
-      </svg>
-    `;
-    
-    // Add click handler
-    flagIcon.addEventListener('click', (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      this.translateSingleMessage(messageElement, messageId, flagIcon);
-    });
-    
-    flagContainer.appendChild(flagIcon);
-    return flagContainer;
+  scheduleProcessing(elements) {
+    elements.forEach(el => this.pendingElements.add(el));
+
+    clearTimeout(this.observerDebounce);
+    this.observerDebounce = setTimeout(() => this.processPendingElements(), CONFIG.OBSERVER_DEBOUNCE_MS);
   }
 
   /**
-   * Translate a single message when flag is clicked
+   * Process queued elements, waiting for a running cycle to finish first
    */
-  async translateSingleMessage(messageElement, messageId, flagIcon) {
+  async processPendingElements() {
+    if (this.isTranslating) {
+      this.observerDebounce = setTimeout(() => this.processPendingElements(), CONFIG.OBSERVER_DEBOUNCE_MS);
+      return;
+    }
+
+    const elements = Array.from(this.pendingElements).filter(el => el.isConnected);
+    this.pendingElements.clear();
+
+    if (elements.length > 0) {
+      logger.debug(`👀 Processing ${elements.length} changed message elements`);
+      await this.processMessages(elements);
+    }
+  }
+
+  /**
+   * Send stats to background
+   */
+  async sendStats() {
+    // Check if chrome runtime is still valid
+    if (!chrome?.runtime?.id) {
+      logger.debug('Chrome runtime not available, skipping stats update');
+      return;
+    }
+
     try {
-      logger.log(`🔄 Translating message on demand [${messageId}]`);
-      
-      // Check if already translated
-      if (this.messageTranslations.has(messageId)) {
-        logger.log(`⏭️ Message [${messageId}] already translated - removing icon`);
-        
-        // Remove the translation icon since message is already translated
-        this.removeTranslationIcon(flagIcon);
-        return;
-      }
+      await chrome.runtime.sendMessage(JSON.stringify({
+        type: 'updateStats',
+        args: [{
+          translated: this.translationStore.size,
+          cached: this.translationCache.size,
+          // Messages waiting for the server are not errors, serverStatus covers them
+          errors: [...this.failedMessages.values()].filter(failure => !failure.circuitOpen).length,
+          serverStatus: this.circuitBreaker.isOpen ? 'down' : 'up'
+        }]
+      }));
+    } catch (error) {
+      // Background might not be ready or extension was reloaded, ignore
+      logger.debug('Failed to send stats:', error.message);
+    }
+  }
 
-      // Add loading state
-      flagIcon.classList.add('translating');
-      flagIcon.title = 'Překládám...';
-      
-      // Change to loading icon
-      flagIcon.innerHTML = `
-        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
-          <circle cx="12" cy="12" r="2" opacity="0.8">
-            <animate attributeName="r" values="2;6;2" dur="1.2s" repeatCount="indefinite"/>
-            <animate attributeName="opacity" values="0.8;0.2;0.8" dur="1.2s" repeatCount="indefinite"/>
-          </circle>
-          <path opacity="0.4" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
-        </svg>
-      `;
-      
-      // Extract text content
-      const textContent = this.extractCleanText(messageElement);
-      if (!textContent || textContent.trim().length === 0) {
-        logger.debug(`⏭️ No text to translate [${messageId}]`);
-        flagIcon.classList.remove('translating');
-        flagIcon.title = 'Žádný text k překladu';
-        
-        // Reset to original translation icon
-        flagIcon.innerHTML = `
-          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
-            <path opacity="0.6" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
-          </svg>
-        `;
-        return;
+  /**
+   * Bring message nodes in line with the translations stored by message ID
+   * Discord re-creates message nodes while scrolling and when switching channels, the stored
+   * translation is attached to the new node without asking the server. When the text changed
+   * (edited by the author) the old translation is dropped and the message translated again,
+   * in manual mode right away. Reply previews and embeds are left out, their text is not the message's
+   */
+  syncStoredTranslations(elements, mode) {
+    for (const element of elements) {
+      const messageId = this.getMessageId(element);
+      const stored = this.translationStore.get(messageId);
+      if (!stored || this.shouldSkipMessage(element)) {
+        continue;
       }
 
-      // Check cache first
-      if (this.translationCache.has(textContent)) {
-        const cachedTranslation = this.translationCache.get(textContent);
-        this.displaySingleTranslation(messageElement, cachedTranslation, messageId);
-        
-        // Remove the translation icon since message is now translated (from cache)
-        this.removeTranslationIcon(flagIcon);
-        
-        logger.log(`✅ Message [${messageId}] translated from cache and icon removed`);
-        return;
+      const displayed = this.messageTranslations.get(messageId);
+      const isDisplayed = displayed?.element === element && displayed.translationElement.isConnected;
+
+      if (this.extractCleanText(element) !== stored.text) {
+        logger.log(`✏️ Message [${messageId}] was edited, translating again`);
+        displayed?.translationElement.remove();
+        this.clearOriginalClasses(element);
+        this.translationStore.delete(messageId);
+        this.messageTranslations.delete(messageId);
+        this.processedMessages.delete(messageId);
+        this.clearFailure(messageId, element);
+        element.removeAttribute(this.PROCESSED_ATTRIBUTE);
+        this.editedMessages.add(messageId);
+
+        // The user asked for this translation with the icon, keep it up to date
+        if (mode === 'manual') {
+          const flagIcon = this.createFlagIcon(element, messageId)?.querySelector(`.${this.FLAG_ICON_CLASS}`);
+          if (flagIcon) {
+            this.processedMessages.add(messageId);
+            this.translateSingleMessage(element, messageId, flagIcon);
+          }
+        }
+        continue;
       }
 
-      // Translate using API
-      const translation = await this.translateText(textContent);
-      if (translation && translation.trim().length > 0) {
-        // Cache translation
-        this.translationCache.set(textContent, translation);
-        
-        // Display translation
-        this.displaySingleTranslation(messageElement, translation, messageId);
-        
-        // Remove the translation icon since message is now translated
-        this.removeTranslationIcon(flagIcon);
-        
-        logger.log(`✅ Message [${messageId}] translated successfully and icon removed`);
-      } else {
-        throw new Error('Empty translation received');
+      if (isDisplayed) {
+        // Discord may reset the original's classes when it re-renders the message
+        this.applyMessageState(messageId);
+        continue;
       }
 
-    } catch (error) {
-      logger.error(`❌ Error translating message [${messageId}]:`, error);
-      flagIcon.classList.remove('translating');
-      flagIcon.title = 'Chyba při překladu ❌';
-      
-      // Change to error icon (subtle error with translation icon)
-      flagIcon.innerHTML = `
-        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
-          <path opacity="0.3" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
-          <circle fill="#f44336" cx="18" cy="6" r="4"/>
-          <path fill="white" d="M16 4.5l4 4M20 4.5l-4 4" stroke="white" stroke-width="1" stroke-linecap="round"/>
-        </svg>
-      `;
+      logger.debug(`📎 Re-attaching stored translation [${messageId}]`);
+      displayed?.translationElement.remove();
+      this.processedMessages.delete(messageId);
+      this.displayTranslation(element, stored.translatedText, 0, messageId, stored.detectedLanguage);
     }
   }
 
   /**
-   * Extract clean text from message element
+   * Remember a displayed translation for this node and, by message ID, for the rest of the session
    */
-  extractCleanText(element) {
-    const clone = element.cloneNode(true);
-    
-    // Remove Discord-specific elements including code blocks
-    const elementsToRemove = clone.querySelectorAll(
-      '[class*="repliedMessage"], ' +
-      '[class*="repliedText"], ' +
-      '[class*="embed"], ' +
-      'pre, code, ' +
-      'img, video, audio'
-    );
-    
-    elementsToRemove.forEach(el => el.remove());
-    
-    let text = clone.textContent || '';
-    
-    // Remove URLs
-    text = text.replace(/https?:\/\/[^\s]+/g, '');
-    
-    return text.trim();
+  storeTranslation(messageElement, messageId, translatedText, detectedLanguage, translationElement) {
+    const text = this.extractCleanText(messageElement);
+
+    this.messageTranslations.set(messageId, {
+      text,
+      translation: translatedText,
+      element: messageElement,
+      translationElement,
+      timestamp: Date.now()
+    });
+
+    // Actions state (hidden, swapped, other provider or language) stays with the message
+    const { collapsed, swapped, override } = this.translationStore.get(messageId) || {};
+    this.translationStore.set(messageId, { text, translatedText, detectedLanguage, collapsed, swapped, override });
   }
 
   /**
-   * Translate text using the API
+   * Add "(edited)" after the translation of an edited message
    */
-  async translateText(text) {
-    try {
-      const { url, data } = TranslationService.prepareBatchTranslation([text], {
-        to: CONFIG.TARGET_LANGUAGE,
-        from: 'auto'
-      });
+  appendEditedMarker(translationElement, messageId) {
+    if (!this.editedMessages.has(messageId)) return;
+
+    const marker = document.createElement('span');
+    marker.className = this.EDITED_CLASS;
+    marker.textContent = I18n.t('editedMarker');
+    marker.title = I18n.t('editedTitle');
+    translationElement.appendChild(marker);
+  }
 
-      logger.api(`🌐 Translating: "${text.substring(0, 50)}..."`);
+  /**
+   * Get stable key for a message element (snowflake message ID, see message-identity.js)
+   * Shared by processedMessages, messageTranslations, translationStore and failedMessages
+   */
+  getMessageId(markupElement) {
+    return MessageIdentity.getKey(markupElement);
+  }
 
-      const responseText = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage(
-          JSON.stringify({
-            type: 'fetch',
-            args: [url, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-              },
-              body: data
-            }]
-          }),
-          (response) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(response);
-            }
-          }
-        );
-      });
+  /**
+   * Get current Discord channel ID from URL or DOM
+   */
+  getCurrentChannelId() {
+    // Method 1: From URL (most reliable, also matches direct messages)
+    const location = Settings.getChannelLocation(window.location.href);
+    if (location) {
+      return location.channelId;
+    }
 
-      if (responseText) {
-        const response = JSON.parse(responseText);
-        const translatedText = response.translatedText;
-        
-        if (translatedText && translatedText.trim().length > 0) {
-          logger.api(`✅ Translation: "${translatedText.substring(0, 50)}..."`);
-          return translatedText;
-        }
-      }
+    // Method 2: From DOM - look for channel name element
+    const channelName = document.querySelector('[class*="title"]');
+    if (channelName) {
+      return `channel-${MessageIdentity.hash(channelName.textContent)}`;
+    }
 
-      throw new Error('Invalid API response');
+    return 'unknown-channel';
+  }
+
+  /**
+   * Check if channel changed and reset processed messages if needed
+   */
+  checkChannelChange() {
+    const newChannelId = this.getCurrentChannelId();
+
+    if (this.currentChannelId !== newChannelId) {
+      logger.log(`📺 Channel changed: ${this.currentChannelId || 'none'} → ${newChannelId}`);
+
+      // Clear processed messages of the old channel's nodes
+      // Translations stay in translationStore and are re-attached when we come back
+      this.processedMessages.clear();
+      this.messageTranslations.clear();
+      this.failedMessages.clear();
+
+      logger.log(`🗑️ Cleared processed messages (${this.translationStore.size} stored for re-attaching, ${this.translationCache.size} in cache)`);
+
+      this.currentChannelId = newChannelId;
+      this.updateTranslationsVisibility();
+      return true; // Channel changed
+    }
+
+    return false; // Same channel
+  }
+
+  /**
+   * Add clickable translation icons to messages for manual translation
+   */
+  async addFlagIcons(allMessages) {    
+    logger.debug(`Found ${allMessages.length} total messages to check for translation icons`);
+
+    const { targetLanguage } = this.getChannelRule();
+
+    let flagsAdded = 0;
+    let flagsSkipped = 0;
+
+    for (const messageElement of allMessages) {
+      try {
+        const messageId = this.getMessageId(messageElement);
+        
+        // Skip messages being edited
+        if (this.isMessageBeingEdited(messageElement)) {
+          flagsSkipped++;
+          continue;
+        }
+        
+        // Skip if already has flag icon
+        if (this.processedMessages.has(messageId)) {
+          flagsSkipped++;
+          continue;
+        }
+        
+        // Check if flag already exists near this message
+        if (this.hasFlagNearby(messageElement)) {
+          this.processedMessages.add(messageId);
+          flagsSkipped++;
+          continue;
+        }
+
+        // Skip if message is already translated
+        if (this.messageTranslations.has(messageId)) {
+          this.processedMessages.add(messageId);
+          flagsSkipped++;
+          continue;
+        }
+
+        // Skip embeds and replies (same logic as in processMessages)
+        if (this.shouldSkipMessage(messageElement)) {
+          continue;
+        }
+
+        // Skip if no content
+        const hasContent = messageElement.textContent.trim().length > 0;
+        if (!hasContent) {
+          continue;
+        }
+
+        // Only add flag to messages on or near the screen
+        if (!this.isNearViewport(messageElement)) {
+          continue;
+        }
+
+        // No icon for messages the browser recognises as not needing translation
+        const detected = await this.detectLanguageLocally(this.extractCleanText(messageElement));
+        const skipReason = this.getSkipReason(detected, targetLanguage, { checkConfidence: false });
+        if (skipReason) {
+          logger.debug(`⏭️ No translation icon [${messageId}]: ${skipReason}`);
+          this.processedMessages.add(messageId);
+          flagsSkipped++;
+          continue;
+        }
+
+        // Debug message structure if needed
+        this.analyzeMessageStructure(messageElement);
+
+        // Find a good place to add the translation icon
+        const flagContainer = this.createFlagIcon(messageElement, messageId);
+        if (flagContainer) {
+          flagsAdded++;
+          this.processedMessages.add(messageId);
+        }
+
+      } catch (error) {
+        logger.error('Error adding translation icon:', error);
+      }
+    }
+
+    logger.log(`� Translation icons: ${flagsAdded} added, ${flagsSkipped} skipped`);
+  }
+
+  /**
+   * Check if message is being edited
+   */
+  isMessageBeingEdited(messageElement) {
+    // Check if the message element itself contains edit fields
+    if (messageElement.querySelector('textarea, [contenteditable="true"]')) {
+      return true;
+    }
+
+    // Check parent message container
+    let parent = messageElement.parentElement;
+    let depth = 0;
+    while (parent && parent !== document.body && depth < 10) {
+      // Check if this is a message container
+      if (parent.role === 'article' || parent.classList?.contains('message')) {
+        // Check if it contains edit fields
+        if (parent.querySelector('textarea, [contenteditable="true"]')) {
+          return true;
+        }
+        break; // Found message container, stop searching
+      }
+      parent = parent.parentElement;
+      depth++;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if message should be skipped (embeds, replies, etc.)
+   */
+  shouldSkipMessage(messageElement) {
+    const messageId = this.getMessageId(messageElement);
+
+    // Skip messages being edited
+    if (this.isMessageBeingEdited(messageElement)) {
+      logger.debug(`⏭️ Skipping message being edited [${messageId}]`);
+      return true;
+    }
+
+    // Skip embeds
+    let current = messageElement.parentElement;
+    while (current && current !== document.body) {
+      const classList = current.classList ? Array.from(current.classList).join(' ') : '';
+      const className = current.className || '';
+
+      if (classList.includes('embed') ||
+          classList.includes('messageAccessories') ||
+          classList.includes('container') && classList.includes('embedWrapper') ||
+          className.includes('embed') ||
+          current.id?.includes('message-accessories')) {
+        logger.debug(`⏭️ Skipping embed element [${messageId}]`);
+        return true;
+      }
+      current = current.parentElement;
+    }
+
+    // Skip replies/quotes
+    let parent = messageElement.parentElement;
+    while (parent && parent !== document.body) {
+      const classList = parent.classList ? Array.from(parent.classList).join(' ') : '';
+      if (classList.includes('repliedMessage') ||
+          classList.includes('repliedText') ||
+          parent.id?.startsWith('message-reply-context')) {
+        logger.debug(`⏭️ Skipping quoted/reply element [${messageId}]`);
+        return true;
+      }
+      parent = parent.parentElement;
+    }
+
+    return false;
+  }
+
+  /**
+   * Create and insert a clickable Czech flag icon next to a message
+   */
+  createFlagIcon(messageElement, messageId) {
+    try {
+      logger.debug(`Creating flag icon for message [${messageId}]`);
+      
+      const targetParent = messageElement.parentElement;
+      if (!targetParent) {
+        logger.debug(`No parent found for message [${messageId}]`);
+        return null;
+      }
+      
+      const flagContainer = this.createFlagElement(messageElement, messageId);
+      
+      // Simply add the flag after the message element as a sibling
+      // DO NOT wrap or move the original message element to avoid conflicts with Discord's edit functionality
+      if (messageElement.nextSibling) {
+        targetParent.insertBefore(flagContainer, messageElement.nextSibling);
+      } else {
+        targetParent.appendChild(flagContainer);
+      }
+      
+      logger.debug(`Flag icon placed for [${messageId}]`);
+      return flagContainer;
+
+    } catch (error) {
+      logger.error(`Error creating flag icon for message [${messageId}]:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Check if flag can be placed inline with message
+   */
+  canPlaceInline(messageElement) {
+    const style = window.getComputedStyle(messageElement);
+    const parent = messageElement.parentElement;
+    const parentStyle = window.getComputedStyle(parent);
+    
+    return (
+      style.display.includes('inline') ||
+      parentStyle.display === 'flex' ||
+      parent.tagName.toLowerCase() === 'span'
+    );
+  }
+  
+  /**
+   * Find the message wrapper/container in Discord's structure
+   */
+  findMessageWrapper(messageElement) {
+    let current = messageElement.parentElement;
+    let depth = 0;
+    const maxDepth = 5; // Prevent infinite loops
+    
+    while (current && current !== document.body && depth < maxDepth) {
+      const classList = Array.from(current.classList || []).join(' ');
+      const className = current.className || '';
+      
+      // Look for Discord message content patterns
+      if (
+        classList.includes('messageContent') ||
+        classList.includes('markup') && current !== messageElement ||
+        className.includes('content') ||
+        current.querySelector('[class*="timestamp"]') // Messages usually have timestamps nearby
+      ) {
+        logger.debug(`Found wrapper at depth ${depth}:`, current.className);
+        return current;
+      }
+      
+      current = current.parentElement;
+      depth++;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check if there's already a flag icon near this message
+   */
+  hasFlagNearby(messageElement) {
+    // Check siblings
+    const parent = messageElement.parentElement;
+    if (!parent) return false;
+    
+    // Check next/previous siblings
+    const siblings = Array.from(parent.children);
+    const messageIndex = siblings.indexOf(messageElement);
+    
+    // Check 2 siblings in each direction
+    for (let i = Math.max(0, messageIndex - 2); i <= Math.min(siblings.length - 1, messageIndex + 2); i++) {
+      const sibling = siblings[i];
+      if (sibling.classList?.contains(this.FLAG_CONTAINER_CLASS) ||
+          sibling.querySelector(`.${this.FLAG_CONTAINER_CLASS}`)) {
+        return true;
+      }
+    }
+    
+    // Check if parent contains a flag
+    return parent.querySelector(`.${this.FLAG_CONTAINER_CLASS}`) !== null;
+  }
+
+  /**
+   * Debug helper - analyze message structure for flag placement
+   */
+  analyzeMessageStructure(messageElement) {
+    if (!CONFIG.DEBUG_ENABLED) return;
+    
+    const messageId = this.getMessageId(messageElement);
+    const parent = messageElement.parentElement;
+    const style = window.getComputedStyle(messageElement);
+    const parentStyle = window.getComputedStyle(parent);
+    
+    logger.debug(`Message structure analysis [${messageId}]:`, {
+      element: messageElement.tagName,
+      elementClass: messageElement.className,
+      elementDisplay: style.display,
+      parent: parent.tagName,
+      parentClass: parent.className,
+      parentDisplay: parentStyle.display,
+      canPlaceInline: this.canPlaceInline(messageElement),
+      hasWrapper: !!this.findMessageWrapper(messageElement),
+      hasFlagNearby: this.hasFlagNearby(messageElement)
+    });
+  }
+
+  /**
+   * Create the flag icon element
+   */
+  createFlagElement(messageElement, messageId) {
+    const flagContainer = document.createElement('span');
+    flagContainer.className = this.FLAG_CONTAINER_CLASS;
+    
+    // A real button after the message keeps it in the tab order right after the message
+    const flagIcon = document.createElement('button');
+    flagIcon.type = 'button';
+    flagIcon.className = this.FLAG_ICON_CLASS;
+    this.setLabel(flagIcon, I18n.t('translateTo', this.getTargetLanguageName()));
+    flagIcon.setAttribute('data-message-id', messageId);
+    
+    // Create translation icon SVG (subtle language swap icon)
+    flagIcon.innerHTML = `
+      <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
+        <path opacity="0.6" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
+      </svg>
+    `;
+    
+    // Add click handler
+    flagIcon.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.translateSingleMessage(messageElement, messageId, flagIcon);
+    });
+
+    // Enter and Space activate the button, Discord's message list must not handle them too
+    flagIcon.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.stopPropagation();
+      }
+    });
+    
+    flagContainer.appendChild(flagIcon);
+    return flagContainer;
+  }
+
+  /**
+   * Set the tooltip and the screen reader label of a button (flag icon, translation actions)
+   */
+  setLabel(button, label) {
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Translate a single message when flag is clicked
+   */
+  async translateSingleMessage(messageElement, messageId, flagIcon) {
+    try {
+      logger.log(`🔄 Translating message on demand [${messageId}]`);
+      
+      // Check if already translated
+      if (this.messageTranslations.has(messageId)) {
+        logger.log(`⏭️ Message [${messageId}] already translated - removing icon`);
+        
+        // Remove the translation icon since message is already translated
+        this.removeTranslationIcon(flagIcon);
+        return;
+      }
+
+      // Add loading state
+      flagIcon.classList.remove('error');
+      flagIcon.classList.add('translating');
+      flagIcon.setAttribute('aria-busy', 'true');
+      this.setLabel(flagIcon, I18n.t('translatingTo', this.getTargetLanguageName()));
+      
+      // Change to loading icon
+      flagIcon.innerHTML = `
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
+          <circle cx="12" cy="12" r="2" opacity="0.8">
+            <animate attributeName="r" values="2;6;2" dur="1.2s" repeatCount="indefinite"/>
+            <animate attributeName="opacity" values="0.8;0.2;0.8" dur="1.2s" repeatCount="indefinite"/>
+          </circle>
+          <path opacity="0.4" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
+        </svg>
+      `;
+      
+      // Extract text content
+      const textContent = this.extractCleanText(messageElement);
+      if (!MessageContent.hasText(textContent)) {
+        logger.debug(`⏭️ No text to translate [${messageId}]`);
+        flagIcon.classList.remove('translating');
+        flagIcon.removeAttribute('aria-busy');
+        this.setLabel(flagIcon, I18n.t('noTextToTranslate'));
+        
+        // Reset to original translation icon
+        flagIcon.innerHTML = `
+          <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
+            <path opacity="0.6" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
+          </svg>
+        `;
+        return;
+      }
+
+      // Check cache first
+      const cached = (await this.getCachedTranslations([textContent])).get(textContent);
+      if (cached) {
+        this.displaySingleTranslation(messageElement, cached.translatedText, messageId, cached.detectedLanguage);
+        
+        // Remove the translation icon since message is now translated (from cache)
+        this.removeTranslationIcon(flagIcon);
+        this.announce(I18n.t('announceTranslated'));
+        
+        logger.log(`✅ Message [${messageId}] translated from cache and icon removed`);
+        return;
+      }
+
+      // Translate using API
+      const result = await this.translateText(textContent);
+      const translation = result.translatedText;
+      if (translation && translation.trim().length > 0) {
+        // Cache translation
+        this.cacheTranslation(textContent, result);
+        this.failedMessages.delete(messageId);
+        
+        // Display translation
+        this.displaySingleTranslation(messageElement, translation, messageId, result.detectedLanguage);
+        
+        // Remove the translation icon since message is now translated
+        this.removeTranslationIcon(flagIcon);
+        this.announce(I18n.t('announceTranslated'));
+        
+        logger.log(`✅ Message [${messageId}] translated successfully and icon removed`);
+        this.sendStats();
+      } else {
+        throw new Error('Empty translation received');
+      }
+
+    } catch (error) {
+      logger.error(`❌ Error translating message [${messageId}]:`, error);
+      const failure = this.recordFailure(messageId, this.extractCleanText(messageElement), error);
+      flagIcon.classList.remove('translating');
+      flagIcon.classList.add('error');
+      flagIcon.removeAttribute('aria-busy');
+      this.setLabel(flagIcon, I18n.t('translationError', this.describeFailure(failure)));
+      this.sendStats();
+      
+      // Change to error icon (subtle error with translation icon)
+      flagIcon.innerHTML = `
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor">
+          <path opacity="0.3" d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
+          <circle fill="#f44336" cx="18" cy="6" r="4"/>
+          <path fill="white" d="M16 4.5l4 4M20 4.5l-4 4" stroke="white" stroke-width="1" stroke-linecap="round"/>
+        </svg>
+      `;
+    }
+  }
+
+  /**
+   * Small toolbar at the end of a translation: hide, swap with the original, re-translate, copy,
+   * translate with another provider or language
+   */
+  createTranslationActions(messageId) {
+    const toolbar = document.createElement('span');
+    toolbar.className = this.ACTIONS_CLASS;
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', I18n.t('translationActions'));
+
+    const actions = [
+      ['toggle', '', '', () => this.toggleMessageState(messageId, 'collapsed')],
+      ['swap', '⇅', '', () => this.toggleMessageState(messageId, 'swapped')],
+      ['retranslate', '↻', I18n.t('retranslate'), () => this.retranslateMessage(messageId)],
+      ['copy', '⧉', I18n.t('copyTranslation'), () => this.copyTranslation(messageId)],
+      ['other', '🌐', I18n.t('translateOther'), () => this.toggleOverrideForm(messageId, toolbar)]
+    ];
+
+    for (const [action, text, label, onClick] of actions) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.textContent = text;
+      if (label) {
+        this.setLabel(button, label);
+      }
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        onClick();
+      });
+      toolbar.appendChild(button);
+    }
+
+    const status = document.createElement('span');
+    status.className = 'status';
+    status.setAttribute('aria-live', 'polite');
+    toolbar.appendChild(status);
+
+    // Enter and Space activate the buttons, Discord's message list must not handle them too
+    toolbar.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.stopPropagation();
+      }
+    });
+
+    return toolbar;
+  }
+
+  /**
+   * Change the stored actions state of a message and show it
+   */
+  updateMessageState(messageId, changes) {
+    const stored = this.translationStore.get(messageId);
+    if (!stored) return;
+
+    this.translationStore.set(messageId, { ...stored, ...changes });
+    this.applyMessageState(messageId);
+  }
+
+  toggleMessageState(messageId, key) {
+    this.updateMessageState(messageId, { [key]: !this.translationStore.get(messageId)?.[key] });
+  }
+
+  /**
+   * Show the display mode and the stored state (hidden, swapped) on the displayed translation
+   * and update the toolbar labels
+   *
+   * The original is only restyled with a class, never moved or wrapped (see createFlagIcon),
+   * so Discord's edit, reply and copy keep working on its own node and state
+   */
+  applyMessageState(messageId) {
+    const displayed = this.messageTranslations.get(messageId);
+    const state = this.translationStore.get(messageId);
+    if (!displayed || !state) return;
+
+    const { element, translationElement } = displayed;
+    const mode = CONFIG.DISPLAY_MODE;
+    const collapsed = !!state.collapsed;
+    const swapped = mode === 'below' && !!state.swapped && !collapsed;
+    const replaced = mode === 'replace' && !collapsed;
+
+    translationElement.dataset.messageId = messageId;
+    translationElement.classList.toggle('replace', mode === 'replace');
+    translationElement.classList.toggle('tooltip', mode === 'tooltip');
+    translationElement.classList.toggle('collapsed', collapsed);
+    translationElement.classList.toggle('swapped', swapped);
+    element.classList.toggle(this.ORIGINAL_CLASS, swapped);
+    element.classList.toggle(this.REPLACED_CLASS, replaced);
+    element.classList.toggle(this.TOOLTIP_TARGET_CLASS, mode === 'tooltip');
+
+    // Replace mode shows the hidden original when the translation is hovered
+    // It's built like a translation (MessageContent), so spoilers stay hidden and mentions, emoji and links are kept
+    let originalText = translationElement.querySelector(':scope > .original-text');
+    if (mode === 'replace' && !originalText) {
+      const { text, tokens } = MessageContent.extract(element);
+      originalText = document.createElement('span');
+      originalText.className = 'original-text';
+      originalText.setAttribute('dir', 'auto');
+      originalText.setAttribute('aria-hidden', 'true');
+      originalText.append(MessageContent.render(text, tokens));
+      translationElement.appendChild(originalText);
+    }
+    if (originalText) {
+      originalText.hidden = mode !== 'replace';
+    }
+
+    // A swapped translation stands where the original was, the original follows it
+    const before = swapped ? element : element.nextSibling;
+    if (before !== translationElement && element.parentElement) {
+      element.parentElement.insertBefore(translationElement, before);
+    }
+
+    const toggleButton = translationElement.querySelector(`.${this.ACTIONS_CLASS} [data-action="toggle"]`);
+    if (toggleButton) {
+      toggleButton.textContent = collapsed ? I18n.t('showTranslation') : '−';
+      toggleButton.setAttribute('aria-expanded', String(!collapsed));
+      this.setLabel(toggleButton, I18n.t(collapsed ? 'showTranslation' : mode === 'replace' ? 'showOriginal' : 'hideTranslation'));
+    }
+
+    const swapButton = translationElement.querySelector(`.${this.ACTIONS_CLASS} [data-action="swap"]`);
+    if (swapButton) {
+      swapButton.setAttribute('aria-pressed', String(swapped));
+      this.setLabel(swapButton, I18n.t(swapped ? 'showOriginalInPlace' : 'showTranslationInPlace'));
+    }
+  }
+
+  /**
+   * Replace mode: a click on the translation shows the original (links, mentions, spoilers and
+   * text selection keep working)
+   */
+  handleTranslationClick(event) {
+    if (CONFIG.DISPLAY_MODE !== 'replace') return;
+
+    const translationElement = event.target.closest?.(`.${this.TRANSLATION_CLASS}.replace:not(.collapsed)`);
+    if (!translationElement || event.target.closest(`a, button, select, [role="button"], .${this.ACTIONS_CLASS}`)) {
+      return;
+    }
+    if (!window.getSelection()?.isCollapsed) {
+      return;
+    }
+
+    this.updateMessageState(translationElement.dataset.messageId, { collapsed: true });
+  }
+
+  /**
+   * Replace mode: copying messages puts the originals on the clipboard, not the translations standing
+   * in for them (the hidden originals are never part of a selection). Text selected inside a single
+   * translation is copied as it is
+   */
+  handleCopy(event) {
+    if (CONFIG.DISPLAY_MODE !== 'replace') return;
+
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    const ancestor = range.commonAncestorContainer;
+    const ancestorElement = ancestor.nodeType === Node.ELEMENT_NODE ? ancestor : ancestor.parentElement;
+    if (ancestorElement?.closest(`.${this.TRANSLATION_CLASS}`)) return;
+
+    const isReplacing = Array.from(document.querySelectorAll(`.${this.TRANSLATION_CLASS}.replace:not(.collapsed)`))
+      .some(translationElement => range.intersectsNode(translationElement));
+    if (!isReplacing) return;
+
+    // Laid out off-screen, so innerText keeps the line breaks between messages
+    const container = document.createElement('div');
+    container.style.cssText = 'position: fixed; top: 0; left: -10000px; white-space: pre-wrap;';
+    container.append(range.cloneContents());
+    container.querySelectorAll(`.${this.REPLACED_CLASS}`).forEach(element => element.remove());
+
+    for (const translationElement of container.querySelectorAll(`.${this.TRANSLATION_CLASS}.replace:not(.collapsed)`)) {
+      const original = this.messageTranslations.get(translationElement.dataset.messageId)?.element.cloneNode(true);
+      original?.classList.remove(this.REPLACED_CLASS);
+      translationElement.replaceWith(original || '');
+    }
+
+    document.body.appendChild(container);
+    const text = container.innerText;
+    container.remove();
+
+    event.clipboardData.setData('text/plain', text);
+    event.preventDefault();
+  }
+
+  /**
+   * Remove display classes from an original message element
+   */
+  clearOriginalClasses(element) {
+    element.classList.remove(this.ORIGINAL_CLASS, this.REPLACED_CLASS, this.TOOLTIP_TARGET_CLASS);
+  }
+
+  /**
+   * Translate a displayed message again, bypassing the cache
+   * An override ({ provider, targetLanguage }) is remembered and used by later re-translations
+   */
+  async retranslateMessage(messageId, override = this.translationStore.get(messageId)?.override) {
+    const displayed = this.messageTranslations.get(messageId);
+    if (!displayed) return;
+
+    const { element, translationElement } = displayed;
+    const text = this.extractCleanText(element);
+    const toolbar = translationElement.querySelector(`.${this.ACTIONS_CLASS}`);
+    const status = toolbar?.querySelector('.status');
+    toolbar?.setAttribute('aria-busy', 'true');
+    if (status) status.textContent = I18n.t('translating');
+
+    try {
+      const [result] = await this.requestTranslations([text], {
+        from: 'auto',
+        to: override?.targetLanguage || this.getChannelRule().targetLanguage,
+        provider: override?.provider
+      });
+      if (!result?.translatedText?.trim()) {
+        throw new TranslationError('Empty translation received', { retryable: false });
+      }
+
+      // Only translations with the configured provider and language belong in the cache
+      if (!override) {
+        this.cacheTranslation(text, result);
+      }
+
+      logger.log(`🔁 Re-translated [${messageId}]${override ? ` with ${override.provider} → ${override.targetLanguage}` : ''}`);
+      const stored = this.translationStore.get(messageId);
+      this.translationStore.set(messageId, { ...stored, translatedText: result.translatedText, detectedLanguage: result.detectedLanguage, override: override || null });
+
+      // Re-render from the store, the node may have been re-created meanwhile
+      const current = this.messageTranslations.get(messageId);
+      if (current?.element.isConnected) {
+        current.translationElement.remove();
+        this.messageTranslations.delete(messageId);
+        this.processedMessages.delete(messageId);
+        this.displayTranslation(current.element, result.translatedText, 0, messageId, result.detectedLanguage);
+        this.announce(I18n.t('announceTranslated'));
+      }
+    } catch (error) {
+      logger.error(`❌ Re-translation failed [${messageId}]:`, error);
+      toolbar?.removeAttribute('aria-busy');
+      if (status) {
+        status.textContent = I18n.t('translationError', this.describeFailure({ circuitOpen: error.circuitOpen, error: error.message }));
+      }
+    }
+  }
+
+  /**
+   * Copy the translation as plain text, mentions and emoji included
+   */
+  async copyTranslation(messageId) {
+    const displayed = this.messageTranslations.get(messageId);
+    if (!displayed) return;
+
+    const status = displayed.translationElement.querySelector(`.${this.ACTIONS_CLASS} .status`);
+    try {
+      await navigator.clipboard.writeText(this.getTranslationText(messageId));
+      if (status) status.textContent = I18n.t('copied');
+    } catch (error) {
+      logger.error('Copying translation failed:', error);
+      if (status) status.textContent = I18n.t('copyFailed');
+    }
+  }
+
+  /**
+   * Show or hide the provider and language choice in the toolbar
+   */
+  toggleOverrideForm(messageId, toolbar) {
+    const existing = toolbar.querySelector('.override');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    const configured = TranslationService.getProvider();
+    const override = this.translationStore.get(messageId)?.override;
+    const defaultLanguage = this.getChannelRule().targetLanguage;
+
+    const form = document.createElement('span');
+    form.className = 'override';
+
+    // Other providers run with the server and key saved for them, the ones never set up can't be picked
+    const providerSelect = document.createElement('select');
+    providerSelect.setAttribute('aria-label', I18n.t('translationProvider'));
+    for (const provider of TranslationProviders.list()) {
+      const isSetUp = !!TranslationService.getProviderConfig(provider);
+      const option = new Option(isSetUp ? provider.name : I18n.t('providerNotSetUp', provider.name), provider.id);
+      option.disabled = !isSetUp;
+      providerSelect.add(option);
+    }
+    const overrideProvider = override && TranslationService.getProviderConfig(TranslationProviders.get(override.provider));
+    providerSelect.value = overrideProvider ? override.provider : configured.id;
+
+    const languageSelect = document.createElement('select');
+    languageSelect.setAttribute('aria-label', I18n.t('translationLanguage'));
+    const fillLanguages = () => {
+      const selected = languageSelect.value || override?.targetLanguage || defaultLanguage;
+      const provider = TranslationProviders.get(providerSelect.value);
+      languageSelect.replaceChildren(...provider.languages.map(code => new Option(I18n.languageName(code), code)));
+      languageSelect.value = provider.supportsLanguage(selected) ? selected : provider.languages[0];
+    };
+    fillLanguages();
+    providerSelect.addEventListener('change', fillLanguages);
+
+    const translateButton = document.createElement('button');
+    translateButton.type = 'button';
+    translateButton.textContent = I18n.t('translate');
+    translateButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const isDefault = providerSelect.value === configured.id && languageSelect.value === defaultLanguage;
+      this.retranslateMessage(messageId, isDefault ? null : {
+        provider: providerSelect.value,
+        targetLanguage: languageSelect.value
+      });
+    });
+
+    form.append(providerSelect, languageSelect, translateButton);
+    toolbar.insertBefore(form, toolbar.querySelector('.status'));
+    providerSelect.focus();
+  }
+
+  /**
+   * Extract message as simple HTML for translation, protected elements are replaced with placeholders
+   */
+  extractCleanText(element) {
+    return MessageContent.extract(element).text;
+  }
+
+  /**
+   * Translate text using the API
+   * Returns { translatedText, detectedLanguage }
+   */
+  async translateText(text) {
+    try {
+      logger.api(`🌐 Translating: "${text.substring(0, 50)}..."`);
+
+      const [result] = await this.requestTranslations([text], {
+        to: this.getChannelRule().targetLanguage,
+        from: 'auto'
+      });
+
+      const translatedText = result?.translatedText;
+      if (translatedText && translatedText.trim().length > 0) {
+        logger.api(`✅ Translation: "${translatedText.substring(0, 50)}..."`);
+        return result;
+      }
+
+      throw new Error('Invalid API response');
+
+    } catch (error) {
+      logger.error('Translation API error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Display translation for a single message
+   */
+  displaySingleTranslation(messageElement, translatedText, messageId, detectedLanguage = null) {
+    try {
+      // Check if translation already displayed
+      if (messageElement.nextSibling?.classList?.contains(this.TRANSLATION_CLASS)) {
+        logger.debug(`⏭️ Translation already displayed [${messageId}]`);
+        return;
+      }
+
+      this.renderTranslation(messageElement, translatedText, messageId, detectedLanguage);
+      logger.debug(`✅ Translation displayed for [${messageId}]`);
+
+    } catch (error) {
+      logger.error(`❌ Error displaying translation [${messageId}]:`, error);
+    }
+  }
+
+  /**
+   * Create the translation element, insert it after the message and store it
+   * Shared by automatic, on-demand and re-attached translations, the look comes from CSS (see applyTheme)
+   */
+  renderTranslation(messageElement, translatedText, messageId, detectedLanguage = null) {
+    const translationElement = document.createElement('div');
+    translationElement.className = this.TRANSLATION_CLASS;
+
+    // Language of the translated text for screen readers, direction follows the text (right-to-left scripts)
+    const override = this.translationStore.get(messageId)?.override;
+    translationElement.lang = override?.targetLanguage || this.getChannelRule().targetLanguage;
+    translationElement.dir = 'auto';
+
+    // Detected source language badge, then translated text with the original mentions, emoji and links
+    if (detectedLanguage) {
+      translationElement.appendChild(this.createLanguageBadge(detectedLanguage));
+    }
+    translationElement.append(MessageContent.render(translatedText, MessageContent.extract(messageElement).tokens));
+    this.appendEditedMarker(translationElement, messageId);
+    translationElement.appendChild(this.createTranslationActions(messageId));
+
+    messageElement.parentElement.insertBefore(translationElement, messageElement.nextSibling);
+
+    // Store by message ID, text is compared later to notice edits
+    this.storeTranslation(messageElement, messageId, translatedText, detectedLanguage, translationElement);
+    this.applyMessageState(messageId);
+    return translationElement;
+  }
+
+  /**
+   * Read a text to screen readers through a hidden live region
+   * Only generic status texts, translations may contain hidden spoilers
+   */
+  announce(text) {
+    if (!this.liveRegion?.isConnected) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = this.LIVE_REGION_CLASS;
+      this.liveRegion.setAttribute('role', 'status');
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      document.body.appendChild(this.liveRegion);
+    }
+    this.liveRegion.textContent = text;
+  }
+
+  /**
+   * Announce translations arriving in automatic mode, counted over a short moment instead of one by one
+   */
+  announceNewTranslation() {
+    this.pendingAnnouncements++;
+    clearTimeout(this.announceTimeout);
+    this.announceTimeout = setTimeout(() => {
+      this.announce(this.pendingAnnouncements === 1 ? I18n.t('announceOne') : I18n.t('announceMany', this.pendingAnnouncements));
+      this.pendingAnnouncements = 0;
+    }, CONFIG.ANNOUNCE_DELAY_MS);
+  }
+
+  /**
+   * Current plain text of a displayed translation (without badge, actions and markers)
+   */
+  getTranslationText(messageId) {
+    const displayed = this.messageTranslations.get(messageId);
+    if (!displayed) return '';
+
+    const copy = displayed.translationElement.cloneNode(true);
+    copy.querySelectorAll(`.${this.ACTIONS_CLASS}, .${this.LANGUAGE_BADGE_CLASS}, .${this.EDITED_CLASS}, .original-text`)
+      .forEach(el => el.remove());
+    return copy.textContent.trim();
+  }
+
+  /**
+   * Remove translation icon from the DOM
+   */
+  removeTranslationIcon(flagIcon) {
+    try {
+      const flagContainer = flagIcon.closest(`.${this.FLAG_CONTAINER_CLASS}`);
+      if (flagContainer && flagContainer.parentElement) {
+        flagContainer.parentElement.removeChild(flagContainer);
+        logger.debug('Translation icon removed from DOM');
+      } else {
+        // Fallback: just remove the icon itself
+        if (flagIcon.parentElement) {
+          flagIcon.parentElement.removeChild(flagIcon);
+          logger.debug('Translation icon removed (fallback)');
+        }
+      }
+    } catch (error) {
+      logger.error('Error removing translation icon:', error);
+    }
+  }
+
+  /**
+   * Handle a keyboard shortcut forwarded by the background script
+   */
+  handleCommand(command) {
+    logger.log(`⌨️ Command: ${command}`);
+
+    switch (command) {
+      case 'translate-message': {
+        const messageElement = this.findCommandTarget();
+        if (messageElement) {
+          this.translateMessageNow(messageElement);
+        } else {
+          logger.debug('No message under focus or mouse');
+        }
+        break;
+      }
+      case 'translate-visible':
+        this.translateVisibleMessages();
+        break;
+      case 'toggle-translations':
+        this.toggleTranslationsHidden();
+        break;
+      default:
+        logger.warn('Unknown command:', command);
+    }
+  }
+
+  /**
+   * Message markup under the keyboard focus, otherwise under the mouse
+   */
+  findCommandTarget() {
+    for (const node of [document.activeElement, this.hoveredElement]) {
+      if (!node?.closest) continue;
+
+      // The reply preview comes before the message body and embeds may carry markup too
+      const container = MessageIdentity.findContainer(node);
+      const candidates = [...(container?.querySelectorAll('[id^="message-content-"]') || []), node.closest('[class*="markup"]')];
+      const markup = candidates.find(element => element && !this.isOwnElement(element) && !this.shouldSkipMessage(element));
+      if (markup) {
+        return markup;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Translate one message right away, in any mode (the flag icon shows progress and errors)
+   */
+  async translateMessageNow(messageElement) {
+    const messageId = this.getMessageId(messageElement);
+    if (this.messageTranslations.has(messageId)) {
+      logger.debug(`⏭️ Message [${messageId}] already translated`);
+      return;
+    }
+
+    const flagIcon = messageElement.parentElement?.querySelector(`.${this.FLAG_ICON_CLASS}[data-message-id="${messageId}"]`) ||
+      this.createFlagIcon(messageElement, messageId)?.querySelector(`.${this.FLAG_ICON_CLASS}`);
+    if (!flagIcon) return;
+
+    this.processedMessages.add(messageId);
+    await this.translateSingleMessage(messageElement, messageId, flagIcon);
+  }
+
+  /**
+   * Translate all messages on screen in one batch, also in manual mode and in channels set to off
+   */
+  async translateVisibleMessages() {
+    const elements = Array.from(this.visibleMessages).filter(element => element.isConnected);
+
+    // Messages waiting for a click (or skipped) are processed again, their icons are replaced by translations
+    for (const element of elements) {
+      const messageId = this.getMessageId(element);
+      if (this.messageTranslations.has(messageId) || this.shouldSkipMessage(element)) continue;
+
+      this.processedMessages.delete(messageId);
+      this.failedMessages.delete(messageId);
+      element.parentElement?.querySelector(`.${this.FLAG_CONTAINER_CLASS}`)?.remove();
+    }
+
+    // Wait for a running cycle instead of dropping the request
+    while (this.isTranslating) {
+      await delay(100);
+    }
+    await this.processMessages(elements, { mode: 'auto' });
+  }
+
+  /**
+   * Hide or show translations in the current channel
+   */
+  toggleTranslationsHidden() {
+    const channelId = this.getCurrentChannelId();
+    if (this.hiddenTranslationChannels.has(channelId)) {
+      this.hiddenTranslationChannels.delete(channelId);
+    } else {
+      this.hiddenTranslationChannels.add(channelId);
+    }
+
+    this.updateTranslationsVisibility();
+    logger.log(`👁️ Translations ${this.hiddenTranslationChannels.has(channelId) ? 'hidden' : 'shown'} in channel ${channelId}`);
+  }
+
+  updateTranslationsVisibility() {
+    const hidden = this.hiddenTranslationChannels.has(this.getCurrentChannelId());
+    document.documentElement.classList.toggle(this.HIDDEN_CLASS, hidden);
+  }
+
+  /**
+   * Run one processing cycle, skipped while the previous one is still translating
+   * Without elements, the whole document is scanned (initial run and fallback)
+   * A mode overrides the channel's mode (e.g. translating manual-mode messages on request)
+   */
+  async processMessages(elements = null, { mode = null } = {}) {
+    if (this.isTranslating) {
+      logger.debug('Previous cycle still running, skipping');
+      return;
+    }
+
+    this.isTranslating = true;
+    try {
+      await this.runProcessingCycle(elements, mode);
+    } finally {
+      this.isTranslating = false;
+    }
+  }
+
+  async runProcessingCycle(elements, modeOverride = null) {
+    if (this.context.isInvalid) {
+      logger.log('Context invalidated, stopping...');
+      this.stopProcessing();
+      return;
+    }
+
+    if (!this.isActive) {
+      logger.debug('Translator is not active, skipping processing');
+      return;
+    }
+
+    // Check if channel changed and reset if needed
+    const channelChanged = this.checkChannelChange();
+    if (channelChanged) {
+      logger.log('🔄 Channel changed, will process all messages in new channel');
+    }
+
+    // Use the best selector that finds message content reliably
+    const allMessages = elements ?? document.querySelectorAll('[class*="markup"]');
+
+    logger.log('Found messages:', allMessages.length);
+
+    if (allMessages.length === 0) {
+      logger.debug('No messages found, will retry in next cycle');
+      return;
+    }
+
+    // Translation switched off for this server or channel
+    const rule = this.getChannelRule();
+    const mode = modeOverride || rule.mode;
+    if (mode === 'off') {
+      // Visibility is still tracked, the translate-visible shortcut works in these channels too
+      allMessages.forEach(element => this.isNearViewport(element));
+      logger.debug('Translation is off in this channel, skipping');
+      return;
+    }
+
+    // Re-attach stored translations to re-created nodes, redo translations of edited messages
+    this.syncStoredTranslations(allMessages, mode);
+
+    // If manual translation mode is enabled, add flag icons instead of auto-translating
+    if (mode === 'manual') {
+      await this.addFlagIcons(allMessages);
+      return;
+    }
+
+    // Filter messages that haven't been processed and have content
+    let processedCount = 0;
+    let noContentCount = 0;
+    let hasTranslationCount = 0;
+    let alreadyInSetCount = 0;
+    let notVisibleCount = 0;
+    let waitingRetryCount = 0;
+
+    const messageElements = [...allMessages].filter(el => {
+      // Get unique message ID
+      const messageId = this.getMessageId(el);
+
+      // Skip messages being edited
+      if (this.isMessageBeingEdited(el)) {
+        logger.debug('Skipping message in edit mode');
+        return false;
+      }
+
+      // Check if already processed using our Set
+      const alreadyProcessed = this.processedMessages.has(messageId);
+      if (alreadyProcessed) {
+        alreadyInSetCount++;
+        return false;
+      }
+
+      // Failed messages wait for their backoff delay (or a manual retry)
+      if (!this.isRetryDue(messageId)) {
+        waitingRetryCount++;
+        return false;
+      }
+
+      // Skip embeds (YouTube previews, images, etc.)
+      // Embeds are usually in elements with parent having "message-accessories" or similar
+      let current = el.parentElement;
+      while (current && current !== document.body) {
+        const classList = current.classList ? Array.from(current.classList).join(' ') : '';
+        const className = current.className || '';
+
+        // Check for embed-related classes
+        if (classList.includes('embed') ||
+          classList.includes('messageAccessories') ||
+          classList.includes('container') && classList.includes('embedWrapper') ||
+          className.includes('embed') ||
+          current.id?.includes('message-accessories')) {
+          logger.debug(`⏭️ Skipping embed element [${messageId}]`);
+          return false;
+        }
+        current = current.parentElement;
+      }
+
+      // Skip if element is inside a reply/quote
+      let parent = el.parentElement;
+      while (parent && parent !== document.body) {
+        const classList = parent.classList ? Array.from(parent.classList).join(' ') : '';
+        if (classList.includes('repliedMessage') ||
+          classList.includes('repliedText') ||
+          parent.id?.startsWith('message-reply-context')) {
+          logger.debug(`⏭️ Skipping quoted/reply element [${messageId}]`);
+          return false;
+        }
+        parent = parent.parentElement;
+      }
+
+      const hasContent = el.textContent.trim().length > 0;
+
+      if (!hasContent) {
+        noContentCount++;
+        return false;
+      }
+
+      // IMPORTANT: Only translate messages on or near the screen for faster response
+      const isNear = this.isNearViewport(el);
+      if (!isNear) {
+        notVisibleCount++;
+        return false;
+      }
+
+      return true;
+    }); // Process messages in order: OLDEST FIRST (top to bottom)
+
+    logger.log(`📊 Message filtering: Total=${allMessages.length}, AlreadyProcessed=${alreadyInSetCount}, WaitingRetry=${waitingRetryCount}, NoContent=${noContentCount}, NotVisible=${notVisibleCount}, ToProcess=${messageElements.length}`);
+    logger.log(`🔄 Processing order: ON SCREEN FIRST, then prefetch zone (top to bottom)`);
+    logger.log(`💾 Processed messages in Set: ${this.processedMessages.size}`);
+
+    if (!messageElements.length) {
+      logger.debug('No new messages found, will retry in next cycle');
+      return;
+    }
+
+    logger.log(`Found ${messageElements.length} new messages to translate (all visible on screen)`);
+
+    // Process ALL visible messages (no batch limit needed since we only process visible messages)
+    const messagesToProcess = messageElements;
+
+    // Track which messageIds we've already seen in this batch
+    const seenMessageIds = new Set();
+
+    const candidates = messagesToProcess
+      .map((element, index) => {
+        const messageId = this.getMessageId(element);
+
+        // Skip if we've already seen this messageId (multiple markup elements for same message)
+        if (seenMessageIds.has(messageId)) {
+          logger.debug(`⏭️ Skipping duplicate messageId: ${messageId}`);
+          return null;
+        }
+        seenMessageIds.add(messageId);
+
+        // Mentions, emoji, links and inline code become placeholders, code blocks are left out
+        const text = this.extractCleanText(element);
+        if (!MessageContent.hasText(text)) {
+          logger.debug(`Message ${index} [${messageId}]: nothing to translate besides code, links or emoji`);
+          return null;
+        }
+        logger.debug(`Message ${index} [${messageId}]: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+
+        return { element, text, index, messageId }; // Store element reference and ID
+      })
+      .filter(item => item !== null && item.text);
+
+    // Messages the browser recognises as not needing translation are skipped without a request
+    const { targetLanguage } = rule;
+    const localDetections = await Promise.all(candidates.map(item => this.detectLanguageLocally(item.text)));
+    const toTranslate = candidates.filter((item, i) => {
+      const skipReason = this.getSkipReason(localDetections[i], targetLanguage, { checkConfidence: false });
+      if (skipReason) {
+        this.skipMessage(item, skipReason);
+        return false;
+      }
+      return true;
+    });
+
+    // If text is in cache (this tab or shared), display cached translation and mark as processed
+    const cachedTranslations = await this.getCachedTranslations(toTranslate.map(item => item.text));
+
+    const textsToTranslate = toTranslate.filter((item) => {
+      const { element, text, index, messageId } = item;
+      const cached = cachedTranslations.get(text);
+      if (!cached) {
+        return true;
+      }
+
+      // Cached results keep the provider's detected language
+      const skipReason = this.getSkipReason(cached.detectedLanguage, targetLanguage);
+      if (skipReason) {
+        this.skipMessage(item, skipReason);
+        return false;
+      }
+
+      logger.debug(`📦 Using cached translation for message ${index} [${messageId}]`);
+      try {
+        // Check if element still exists in DOM
+        if (element && element.isConnected) {
+          this.displayTranslation(element, cached.translatedText, index, messageId, cached.detectedLanguage);
+        } else {
+          logger.debug(`⏭️ Cached element ${index} [${messageId}] no longer in DOM`);
+          this.processedMessages.add(messageId);
+        }
+      } catch (displayError) {
+        logger.error(`❌ Error displaying cached translation [${messageId}]:`, displayError);
+        this.processedMessages.add(messageId);
+      }
+      return false; // Skip this item
+    });
+
+    logger.log('Texts to translate:', textsToTranslate.length, 'of', messageElements.length);
+
+    // Show some sample texts
+    if (textsToTranslate.length > 0) {
+      logger.log('Sample texts to translate:', textsToTranslate.slice(0, 3).map(item => `"${item.text.substring(0, 50)}..."`));
+    }
+
+    if (textsToTranslate.length === 0) {
+      logger.debug('All messages already cached, will check again in next cycle');
+      return;
+    }
+
+    // Server is down - messages wait until the health probe succeeds
+    if (this.circuitBreaker.isOpen) {
+      logger.debug(`🔌 Translation paused, ${textsToTranslate.length} messages waiting for server`);
+      this.markMessagesUnavailable(textsToTranslate);
+      await this.sendStats();
+      return;
+    }
+
+    try {
+      logger.log(`Translating ${textsToTranslate.length} texts to ${targetLanguage}`);
+
+      // Send messages in as few requests as possible, on-screen messages first
+      // The queue is re-prioritised before every batch because the user may keep scrolling
+      const queue = [...textsToTranslate];
+
+      for (let b = 0; queue.length > 0; b++) {
+        const batch = this.takeNextBatch(queue);
+        if (batch.length === 0) {
+          break;
+        }
+        logger.log(`🔄 Translating batch ${b + 1} (${batch.length} messages, ${queue.length} queued)`);
+
+        try {
+          const results = await this.requestTranslations(batch.map(item => item.text), { to: targetLanguage });
+
+          // Results come back in request order
+          batch.forEach((item, i) => this.handleTranslationResult(item, results[i]));
+
+        } catch (error) {
+          // Nothing was sent while the server is down, messages wait for it
+          if (error.circuitOpen) {
+            logger.warn(`🔌 Batch ${b + 1} not sent, translation server unavailable`);
+            this.markMessagesUnavailable([...batch, ...queue]);
+            break;
+          }
+
+          logger.error(`Batch ${b + 1} failed, falling back to single requests:`, error);
+
+          for (const item of batch) {
+            if (!this.nearbyMessages.has(item.element)) {
+              continue; // Scrolled away, translated when it comes back into range
+            }
+
+            try {
+              const [result] = await this.requestTranslations([item.text], { to: targetLanguage });
+              this.handleTranslationResult(item, result);
+            } catch (singleError) {
+              logger.error(`Translation error for message ${item.index} [${item.messageId}]:`, singleError);
+              this.markMessageFailed(item, singleError);
+            }
+
+            // Small delay between requests to avoid overwhelming API
+            await delay(CONFIG.API_DELAY_MS);
+          }
+        }
+
+        // Small delay between batches to avoid overwhelming API
+        await delay(CONFIG.API_DELAY_MS);
+      }
+
+      logger.log('💾 Cache now contains:', this.translationCache.size, 'translations');
+      logger.log('✅ All translations displayed immediately after each batch');
+
+      // Send stats to background
+      await this.sendStats();
+
+    } catch (error) {
+      logger.error('Translation error:', error);
+      logger.error('Error details:', {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      });
+    }
+
+    // Send stats to background after processing
+    await this.sendStats();
+  }
+
+  /**
+   * Send translation request with retries, through the circuit breaker
+   */
+  requestTranslations(texts, options = {}) {
+    // Another provider than the configured one must not open (or wait for) the configured server's circuit
+    if (options.provider && options.provider !== TranslationService.getProvider().id) {
+      return withRetry(() => TranslationService.translate(texts, options));
+    }
+    return this.circuitBreaker.execute(() => withRetry(() => TranslationService.translate(texts, options)));
+  }
+
+  /**
+   * Server went down or came back
+   */
+  onCircuitStateChange(state) {
+    if (state === 'closed') {
+      // Retry everything that failed while the server was down right away
+      for (const failure of this.failedMessages.values()) {
+        if (failure.retryable) {
+          failure.nextRetryAt = 0;
+        }
+      }
+
+      if (this.isActive && this.processingInterval) {
+        this.processMessages();
+      }
+    }
+
+    this.sendStats();
+  }
+
+  /**
+   * Remember a failed message (failures are never written to the translation cache)
+   * Non-retryable errors stop automatic retries, the user can still retry manually
+   * Messages not sent because the server is down don't use up attempts, they wait until the circuit closes
+   */
+  recordFailure(messageId, text, error) {
+    const previous = this.failedMessages.get(messageId);
+    let attempts = (previous?.attempts ?? 0) + 1;
+    if (error.circuitOpen) {
+      attempts = previous?.attempts ?? 0;
+    } else if (error.retryable === false) {
+      attempts = CONFIG.MESSAGE_MAX_ATTEMPTS;
+    }
+
+    const failure = {
+      text,
+      attempts,
+      error: error.message,
+      retryable: error.retryable !== false || error.circuitOpen,
+      circuitOpen: !!error.circuitOpen,
+      nextRetryAt: error.circuitOpen
+        ? Infinity
+        : Date.now() + backoffDelay(attempts, CONFIG.CYCLE_DELAY_MS, CONFIG.RETRY_MAX_DELAY_MS * 10)
+    };
+
+    this.failedMessages.set(messageId, failure);
+    return failure;
+  }
+
+  /**
+   * Record failure and show error state under the message
+   */
+  markMessageFailed({ element, text, messageId }, error) {
+    const failure = this.recordFailure(messageId, text, error);
+    logger.warn(`⚠️ Message [${messageId}] failed (attempt ${failure.attempts}/${CONFIG.MESSAGE_MAX_ATTEMPTS}): ${failure.error}`);
+
+    if (element?.isConnected) {
+      this.displayTranslationError(element, messageId, failure);
+    }
+  }
+
+  /**
+   * Mark messages that were not sent because the translation server is down
+   */
+  markMessagesUnavailable(items) {
+    const error = new TranslationError('Translation server unavailable', { retryable: false, circuitOpen: true });
+    for (const item of items) {
+      this.markMessageFailed(item, error);
+    }
+  }
+
+  /**
+   * Forget failure after a successful translation
+   */
+  clearFailure(messageId, element) {
+    this.failedMessages.delete(messageId);
+    this.removeTranslationError(element);
+  }
+
+  /**
+   * Check if a message may be (re)translated automatically now
+   */
+  isRetryDue(messageId) {
+    const failure = this.failedMessages.get(messageId);
+    if (!failure) return true;
+
+    return failure.attempts < CONFIG.MESSAGE_MAX_ATTEMPTS && Date.now() >= failure.nextRetryAt;
+  }
+
+  /**
+   * Short user-facing reason for a failure
+   */
+  describeFailure(failure) {
+    if (failure.circuitOpen) {
+      return I18n.t('serverUnavailable');
+    }
+    return failure.error.length > 120 ? `${failure.error.substring(0, 120)}…` : failure.error;
+  }
+
+  /**
+   * Show error state with a retry button below the message
+   */
+  displayTranslationError(messageElement, messageId, failure) {
+    this.removeTranslationError(messageElement);
+
+    const willRetry = failure.retryable && failure.attempts < CONFIG.MESSAGE_MAX_ATTEMPTS;
+
+    const errorElement = document.createElement('div');
+    errorElement.className = this.ERROR_CLASS;
+    errorElement.setAttribute('data-message-id', messageId);
+    if (failure.circuitOpen) {
+      errorElement.textContent = I18n.t('translationUnavailable');
+    } else {
+      errorElement.textContent = willRetry
+        ? I18n.t('translationFailedRetrying', this.describeFailure(failure))
+        : I18n.t('translationFailedFinal', this.describeFailure(failure));
+    }
+
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.textContent = I18n.t('retry');
+    retryButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.retryMessage(messageId, messageElement);
+    });
+    errorElement.appendChild(retryButton);
+
+    const parent = messageElement.parentElement;
+    if (!parent) return;
+
+    if (messageElement.nextSibling) {
+      parent.insertBefore(errorElement, messageElement.nextSibling);
+    } else {
+      parent.appendChild(errorElement);
+    }
+  }
+
+  /**
+   * Remove error state shown below the message
+   */
+  removeTranslationError(messageElement) {
+    const sibling = messageElement?.nextElementSibling;
+    if (sibling?.classList.contains(this.ERROR_CLASS)) {
+      sibling.remove();
+    }
+  }
+
+  /**
+   * Manual retry from the error state
+   */
+  retryMessage(messageId, messageElement) {
+    logger.log(`🔁 Manual retry [${messageId}]`);
+    this.clearFailure(messageId, messageElement);
+    this.processedMessages.delete(messageId);
+    this.processMessages();
+  }
+
+  /**
+   * Take the next batch from the queue, limited by message count and total characters
+   * Messages scrolled out of the prefetch zone are dropped (not marked as processed,
+   * so they are picked up again when they come back), on-screen messages go first
+   * Providers without batch support get one message per batch
+   */
+  takeNextBatch(queue) {
+    const pending = queue.filter(item => item.element.isConnected && this.nearbyMessages.has(item.element));
+    const dropped = queue.length - pending.length;
+    if (dropped > 0) {
+      logger.debug(`⏭️ Dropped ${dropped} queued messages that scrolled out of range`);
+    }
+
+    // Stable sort keeps top-to-bottom order within each group
+    pending.sort((a, b) => this.visibleMessages.has(b.element) - this.visibleMessages.has(a.element));
+
+    const maxSize = TranslationService.getProvider().capabilities.batch ? CONFIG.BATCH_MAX_SIZE : 1;
+    const batch = [];
+    let batchChars = 0;
+
+    while (pending.length > 0) {
+      const item = pending[0];
+      const wouldOverflow = batch.length >= maxSize ||
+        (batch.length > 0 && batchChars + item.text.length > CONFIG.BATCH_MAX_CHARS);
+
+      if (wouldOverflow) {
+        break;
+      }
 
-    } catch (error) {
-      logger.error('Translation API error:', error);
-      throw error;
+      batch.push(pending.shift());
+      batchChars += item.text.length;
     }
+
+    queue.splice(0, queue.length, ...pending);
+    return batch;
   }
 
   /**
-   * Display translation for a single message
+   * Detect language of extracted message HTML with the browser's built-in detector (no request needed)
+   * Returns { language, confidence } only when the detection is reliable
    */
-  displaySingleTranslation(messageElement, translatedText, messageId) {
+  async detectLanguageLocally(html) {
+    if (!html || !chrome.i18n?.detectLanguage) {
+      return null;
+    }
+
     try {
-      // Check if translation already displayed
-      if (messageElement.nextSibling?.classList?.contains(this.TRANSLATION_CLASS)) {
-        logger.debug(`⏭️ Translation already displayed [${messageId}]`);
-        return;
+      const { isReliable, languages } = await chrome.i18n.detectLanguage(MessageContent.toPlainText(html));
+      if (!isReliable || !languages?.length || languages[0].language === 'und') {
+        return null;
       }
+      return { language: languages[0].language, confidence: languages[0].percentage / 100 };
+    } catch (error) {
+      logger.debug('Local language detection failed:', error.message);
+      return null;
+    }
+  }
 
-      // Create translation element
-      const translationSpan = document.createElement('div');
-      translationSpan.className = this.TRANSLATION_CLASS;
+  /**
+   * Check detected source language against the target and the language settings
+   * Returns a reason for skipping the message, or null when it should be translated
+   * checkConfidence is off for the browser's detection, the provider may still be more sure
+   */
+  getSkipReason(detectedLanguage, targetLanguage, { checkConfidence = true } = {}) {
+    if (!detectedLanguage?.language) {
+      return null;
+    }
 
-      const baseStyle = {
-        fontSize: '14px',
-        fontStyle: 'normal',
-        marginTop: '2px',
-        marginBottom: '0px',
-        padding: '0px',
-        lineHeight: '1.375rem',
-        fontFamily: 'gg sans, "Noto Sans", "Helvetica Neue", Helvetica, Arial, sans-serif',
-        opacity: '0.8',
-        backgroundColor: 'transparent',
-        border: 'none',
-        borderRadius: '0px',
-        color: 'var(--text-muted, #949ba4)'
-      };
+    // Detectors may return regional variants (zh-CN, pt-BR)
+    const language = detectedLanguage.language.toLowerCase().split('-')[0];
+    const { confidence } = detectedLanguage;
 
-      Object.assign(translationSpan.style, baseStyle);
+    if (language === targetLanguage) {
+      return `already in ${language}`;
+    }
+    if (CONFIG.NEVER_TRANSLATE_FROM.includes(language)) {
+      return `${language} is never translated`;
+    }
+    if (CONFIG.ONLY_TRANSLATE_FROM.length > 0 && !CONFIG.ONLY_TRANSLATE_FROM.includes(language)) {
+      return `${language} is not in the translated languages`;
+    }
+    if (checkConfidence && typeof confidence === 'number' && confidence * 100 < CONFIG.MIN_CONFIDENCE) {
+      return `${language} detected with low confidence (${Math.round(confidence * 100)}%)`;
+    }
+    return null;
+  }
 
-      translationSpan.textContent = translatedText;
+  /**
+   * Leave a message untranslated and don't check it again
+   */
+  skipMessage({ element, messageId }, reason) {
+    logger.debug(`⏭️ Not translating [${messageId}]: ${reason}`);
+    this.processedMessages.add(messageId);
+    element?.setAttribute(this.PROCESSED_ATTRIBUTE, '1');
+  }
 
-      // Insert after message element
-      const parent = messageElement.parentElement;
-      if (messageElement.nextSibling) {
-        parent.insertBefore(translationSpan, messageElement.nextSibling);
-      } else {
-        parent.appendChild(translationSpan);
-      }
+  /**
+   * Small badge with the detected source language and confidence
+   */
+  createLanguageBadge({ language, confidence }) {
+    const code = language.toLowerCase().split('-')[0];
+    const percent = typeof confidence === 'number' ? Math.round(confidence * 100) : null;
+
+    const badge = document.createElement('span');
+    badge.className = this.LANGUAGE_BADGE_CLASS;
+    badge.textContent = percent === null ? code : `${code} ${percent}%`;
+    badge.title = percent === null
+      ? I18n.t('detectedLanguage', I18n.languageName(code))
+      : I18n.t('detectedLanguageConfidence', [I18n.languageName(code), percent]);
+    return badge;
+  }
 
-      // Store translation
-      this.messageTranslations.set(messageId, {
-        text: messageElement.textContent.trim(),
-        translation: translatedText,
-        element: messageElement,
-        timestamp: Date.now()
-      });
+  /**
+   * Cache and display one provider result for a message
+   */
+  handleTranslationResult({ element, text, index, messageId }, result) {
+    logger.debug(`📊 Provider result [${messageId}]:`, result);
 
-      logger.debug(`✅ Translation displayed for [${messageId}]`);
+    if (!result || !result.translatedText) {
+      logger.error(`❌ No translation in result [${messageId}]:`, result);
+      this.markMessageFailed({ element, text, messageId },
+        new TranslationError('Empty translation received', { retryable: false }));
+      return;
+    }
 
-    } catch (error) {
-      logger.error(`❌ Error displaying translation [${messageId}]:`, error);
+    const translatedText = result.translatedText;
+    this.clearFailure(messageId, element);
+
+    logger.log(`✅ Translated [${messageId}]: "${text.substring(0, 30)}..." -> "${translatedText.substring(0, 30)}..."`);
+
+    // IMMEDIATELY add to cache
+    this.cacheTranslation(text, result);
+
+    // Translated anyway because only the provider could detect the language
+    const skipReason = this.getSkipReason(result.detectedLanguage, this.getChannelRule().targetLanguage);
+    if (skipReason) {
+      this.skipMessage({ element, messageId }, skipReason);
+      return;
     }
-  }
 
-  /**
-   * Remove translation icon from the DOM
-   */
-  removeTranslationIcon(flagIcon) {
+    // IMMEDIATELY display this translation and mark as processed
     try {
-      const flagContainer = flagIcon.closest(`.${this.FLAG_CONTAINER_CLASS}`);
-      if (flagContainer && flagContainer.parentElement) {
-        flagContainer.parentElement.removeChild(flagContainer);
-        logger.debug('Translation icon removed from DOM');
+      // Check if element still exists in DOM
+      if (element && element.isConnected) {
+        this.displayTranslation(element, translatedText, index, messageId, result.detectedLanguage);
+        this.announceNewTranslation();
       } else {
-        // Fallback: just remove the icon itself
-        if (flagIcon.parentElement) {
-          flagIcon.parentElement.removeChild(flagIcon);
-          logger.debug('Translation icon removed (fallback)');
-        }
+        logger.debug(`⏭️ Element ${index} [${messageId}] no longer in DOM, skipping display`);
+        // Still mark as processed to avoid retrying
+        this.processedMessages.add(messageId);
       }
-    } catch (error) {
-      logger.error('Error removing translation icon:', error);
+    } catch (displayError) {
+      logger.error(`❌ Error displaying translation [${messageId}]:`, displayError);
+      // Mark as processed to avoid infinite retries
+      this.processedMessages.add(messageId);
     }
   }
 
-  async processMessages() {
-    if (this.context.isInvalid) {
-      logger.log('Context invalidated, stopping...');
-      this.stopProcessing();
+  /**
+   * Display a single translation immediately after it's translated
+   */
+  displayTranslation(messageElement, translatedText, index, messageId, detectedLanguage = null) {
+    // Validate inputs first
+    if (!messageElement) {
+      logger.error(`❌ displayTranslation called with null messageElement [${messageId}]`);
       return;
     }
 
-    if (!this.isActive) {
-      logger.debug('Translator is not active, skipping processing');
+    if (!messageElement.isConnected) {
+      logger.debug(`⏭️ Element ${index} [${messageId}] not in DOM, skipping display`);
+      this.processedMessages.add(messageId);
       return;
     }
 
-    // Check if channel changed and reset if needed
-    const channelChanged = this.checkChannelChange();
-    if (channelChanged) {
-      logger.log('🔄 Channel changed, will process all messages in new channel');
+    if (!translatedText || translatedText.trim().length === 0) {
+      logger.debug(`⏭️ Empty translation for ${index} [${messageId}], skipping display`);
+      this.processedMessages.add(messageId);
+      return;
     }
 
-    // Use the best selector that finds message content reliably
-    const allMessages = document.querySelectorAll('[class*="markup"]');
-
-    logger.log('Found messages:', allMessages.length);
+    logger.log(`➕ Displaying translation ${index} [${messageId}]: "${translatedText.substring(0, 30)}..."`);
 
-    if (allMessages.length === 0) {
-      logger.debug('No messages found, will retry in next cycle');
+    // Check if already processed using our Set (most reliable)
+    if (this.processedMessages.has(messageId)) {
+      logger.log(`⏭️ Skipping [${messageId}]: already in processedMessages Set`);
       return;
     }
 
-    // If manual translation mode is enabled, add flag icons instead of auto-translating
-    if (CONFIG.MANUAL_TRANSLATION) {
-      await this.addFlagIcons();
+    // Check if translation already exists as next sibling
+    if (messageElement.nextSibling?.classList?.contains(this.TRANSLATION_CLASS)) {
+      logger.log(`⏭️ Skipping [${messageId}]: translation already exists as next sibling`);
+      // Still mark as processed
+      this.processedMessages.add(messageId);
       return;
     }
 
-    // Filter messages that haven't been processed and have content
-    let processedCount = 0;
-    let noContentCount = 0;
-    let hasTranslationCount = 0;
-    let alreadyInSetCount = 0;
-    let notVisibleCount = 0;
+    try {
+      // Validate parent exists and is still in DOM
+      const parent = messageElement.parentElement;
+      if (!parent || !parent.isConnected) {
+        logger.debug(`⏭️ Parent element not found or not in DOM [${messageId}]`);
+        this.processedMessages.add(messageId);
+        return;
+      }
 
-    const messageElements = [...allMessages].filter(el => {
-      // Get unique message ID
-      const messageId = this.getMessageId(el);
+      this.renderTranslation(messageElement, translatedText, messageId, detectedLanguage);
 
-      // Skip messages being edited
-      if (this.isMessageBeingEdited(el)) {
-        logger.debug('Skipping message in edit mode');
-        return false;
-      }
+      logger.log(`✅ Translation displayed for message ${index} [${messageId}]`);
 
-      // Check if already processed using our Set
-      const alreadyProcessed = this.processedMessages.has(messageId);
-      if (alreadyProcessed) {
-        alreadyInSetCount++;
-        return false;
-      }
+      // Mark as processed in our Set - MOST IMPORTANT
+      this.processedMessages.add(messageId);
 
-      // Skip embeds (YouTube previews, images, etc.)
-      // Embeds are usually in elements with parent having "message-accessories" or similar
-      let current = el.parentElement;
-      while (current && current !== document.body) {
-        const classList = current.classList ? Array.from(current.classList).join(' ') : '';
-        const className = current.className || '';
+      // Also set attribute as backup
+      messageElement.setAttribute(this.PROCESSED_ATTRIBUTE, '1');
 
-        // Check for embed-related classes
-        if (classList.includes('embed') ||
-          classList.includes('messageAccessories') ||
-          classList.includes('container') && classList.includes('embedWrapper') ||
-          className.includes('embed') ||
-          current.id?.includes('message-accessories')) {
-          logger.debug(`⏭️ Skipping embed element [${messageId}]`);
-          return false;
-        }
-        current = current.parentElement;
-      }
+      logger.debug(`✓ Message ${index} [${messageId}] marked as processed in Set (total: ${this.processedMessages.size})`);
 
-      // Skip if element is inside a reply/quote
-      let parent = el.parentElement;
-      while (parent && parent !== document.body) {
-        const classList = parent.classList ? Array.from(parent.classList).join(' ') : '';
-        if (classList.includes('repliedMessage') ||
-          classList.includes('repliedText') ||
-          parent.id?.startsWith('message-reply-context')) {
-          logger.debug(`⏭️ Skipping quoted/reply element [${messageId}]`);
-          return false;
-        }
-        parent = parent.parentElement;
-      }
+    } catch (error) {
+      logger.error(`💥 Error displaying translation [${messageId}]:`, error.message || error);
+      logger.debug('Error details:', {
+        name: error.name,
+        message: error.message,
+        stack: error.stack
+      });
+      // Mark as processed to prevent infinite retries
+      this.processedMessages.add(messageId);
+    }
+  }
+}
 
-      const hasContent = el.textContent.trim().length > 0;
+// ============================================================================
+// COMPOSER TRANSLATION
+// ============================================================================
 
-      if (!hasContent) {
-        noContentCount++;
-        return false;
+/**
+ * Translates the user's draft in Discord's message input before sending
+ *
+ * A button next to Discord's composer buttons (or Alt+T in the input) translates the draft
+ * into the channel's dominant language. The preview shows the original and the editable
+ * translation, the user replaces the draft or sends the original. Requests go through
+ * the background fetch proxy and the circuit breaker like message translations
+ */
+class ComposerTranslator {
+  constructor(translator) {
+    this.translator = translator;
+    this.BUTTON_CLASS = 'discord-translator-composer-button';
+    this.PREVIEW_CLASS = 'discord-translator-composer-preview';
+    this.TEXT_AREA_SELECTOR = '[class*="channelTextArea"]';
+    this.EDITOR_SELECTOR = '[role="textbox"][data-slate-editor="true"]';
+    this.preview = null; // { element, editor, draft, language, languageSelect, translationInput, status, acceptButton }
+    this.channelLanguages = new Map(); // channelId -> language picked in the preview
+    this.buttonInterval = null; // Discord re-creates the composer, buttons are re-added periodically
+  }
+
+  start() {
+    this.injectStyles();
+    this.updateButtons();
+    this.buttonInterval = setInterval(() => this.updateButtons(), CONFIG.LIST_CHECK_MS);
+
+    document.addEventListener('keydown', (event) => this.handleKeyDown(event), {
+      capture: true,
+      signal: this.translator.context.signal
+    });
+
+    this.translator.context.onInvalidated(() => {
+      clearInterval(this.buttonInterval);
+      this.closePreview();
+      document.querySelectorAll(`.${this.BUTTON_CLASS}`).forEach(el => el.remove());
+    });
+  }
+
+  get isEnabled() {
+    return this.translator.isActive && CONFIG.COMPOSER_ENABLED;
+  }
+
+  injectStyles() {
+    if (document.getElementById('discord-translator-composer-styles')) {
+      return;
+    }
+
+    const styleElement = document.createElement('style');
+    styleElement.id = 'discord-translator-composer-styles';
+    styleElement.textContent = `
+      .${this.BUTTON_CLASS} {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        width: 32px;
+        height: 32px;
+        padding: 4px;
+        border: none;
+        background: transparent;
+        color: var(--interactive-normal, #b5bac1);
+        cursor: pointer;
+      }
+      
+      .${this.BUTTON_CLASS}:hover,
+      .${this.BUTTON_CLASS}:focus-visible {
+        color: var(--interactive-hover, #dbdee1);
+      }
+      
+      .${this.BUTTON_CLASS} svg {
+        width: 22px;
+        height: 22px;
+      }
+      
+      .${this.PREVIEW_CLASS} {
+        margin-bottom: 8px;
+        padding: 8px 12px;
+        border-radius: 8px;
+        background: var(--background-secondary, #2b2d31);
+        color: var(--text-normal, #dbdee1);
+        font-size: 14px;
+      }
+      
+      .${this.PREVIEW_CLASS} header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-bottom: 6px;
+        font-weight: 600;
+      }
+      
+      .${this.PREVIEW_CLASS} select,
+      .${this.PREVIEW_CLASS} textarea {
+        border: none;
+        border-radius: 4px;
+        background: var(--background-tertiary, #1e1f22);
+        color: inherit;
+        font: inherit;
+      }
+      
+      .${this.PREVIEW_CLASS} .original {
+        margin-bottom: 6px;
+        color: var(--text-muted, #949ba4);
+        white-space: pre-wrap;
+        max-height: 120px;
+        overflow-y: auto;
       }
+      
+      .${this.PREVIEW_CLASS} textarea {
+        box-sizing: border-box;
+        width: 100%;
+        padding: 6px 8px;
+        resize: vertical;
+      }
+      
+      .${this.PREVIEW_CLASS} .status {
+        min-height: 1em;
+        font-size: 12px;
+        color: var(--text-muted, #949ba4);
+      }
+      
+      .${this.PREVIEW_CLASS} .status.error {
+        color: var(--text-danger, #f23f43);
+      }
+      
+      .${this.PREVIEW_CLASS} .actions {
+        display: flex;
+        gap: 8px;
+        margin-top: 6px;
+      }
+      
+      .${this.PREVIEW_CLASS} button {
+        padding: 4px 12px;
+        border: none;
+        border-radius: 4px;
+        background: var(--button-secondary-background, #4e5058);
+        color: white;
+        font: inherit;
+        cursor: pointer;
+      }
+      
+      .${this.PREVIEW_CLASS} button.primary {
+        background: var(--brand-experiment, #5865f2);
+      }
+      
+      .${this.PREVIEW_CLASS} button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+    `;
 
-      // IMPORTANT: Only translate visible messages for faster response
-      const isVisible = this.isElementVisible(el);
-      if (!isVisible) {
-        notVisibleCount++;
-        return false;
+    document.head.appendChild(styleElement);
+  }
+
+  /**
+   * Add the translate button to every message input, remove it when disabled
+   */
+  updateButtons() {
+    const enabled = this.isEnabled;
+
+    for (const textArea of document.querySelectorAll(this.TEXT_AREA_SELECTOR)) {
+      const existing = textArea.querySelector(`.${this.BUTTON_CLASS}`);
+      const buttons = textArea.querySelector('[class*="buttons"]');
+      const editor = textArea.querySelector(this.EDITOR_SELECTOR);
+
+      if (!enabled || !buttons || !editor) {
+        existing?.remove();
+      } else if (!existing) {
+        buttons.prepend(this.createButton(textArea));
       }
+    }
+
+    // Composer was closed or re-created (e.g. channel switch)
+    if (this.preview && (!enabled || !this.preview.editor.isConnected)) {
+      this.closePreview();
+    }
+  }
+
+  createButton(textArea) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = this.BUTTON_CLASS;
+    button.title = I18n.t('composerButtonShortcut');
+    button.setAttribute('aria-label', I18n.t('composerButton'));
+    button.innerHTML = `
+      <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor" aria-hidden="true">
+        <path d="M12.87 15.07l-2.54-2.51.03-.03A17.52 17.52 0 0 0 14.07 6H17V4h-7V2H8v2H1v2h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
+      </svg>
+    `;
 
-      return true;
-    }); // Process messages in order: OLDEST FIRST (top to bottom)
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.translateDraft(textArea);
+    });
 
-    logger.log(`📊 Message filtering: Total=${allMessages.length}, AlreadyProcessed=${alreadyInSetCount}, NoContent=${noContentCount}, NotVisible=${notVisibleCount}, ToProcess=${messageElements.length}`);
-    logger.log(`🔄 Processing order: OLDEST FIRST (top to bottom)`);
-    logger.log(`💾 Processed messages in Set: ${this.processedMessages.size}`);
+    return button;
+  }
 
-    if (!messageElements.length) {
-      logger.debug('No new messages found, will retry in next cycle');
+  /**
+   * Alt+T in a message input translates the draft, Escape in the preview or its input closes the preview
+   * Escape anywhere else (popouts, modals, other inputs) is left to Discord
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape' && this.preview && this.isInPreviewScope(event.target)) {
+      event.stopPropagation();
+      this.closePreview();
       return;
     }
 
-    logger.log(`Found ${messageElements.length} new messages to translate (all visible on screen)`);
-
-    // Process ALL visible messages (no batch limit needed since we only process visible messages)
-    const messagesToProcess = messageElements;
+    // event.code, because Alt+T types a special character on some layouts (macOS)
+    const isShortcut = event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey && event.code === 'KeyT';
+    const textArea = event.target.closest?.(this.TEXT_AREA_SELECTOR);
 
-    const htmlPlaceholders = new Map();
+    if (isShortcut && textArea && this.isEnabled) {
+      event.preventDefault();
+      event.stopPropagation();
+      this.translateDraft(textArea);
+    }
+  }
 
-    const extractTextParts = (element, elementIndex) => {
-      // Clone element to safely remove quoted/reply content and embeds
-      const clone = element.cloneNode(true);
+  /**
+   * Check if an element is in the preview or in the message input it belongs to
+   */
+  isInPreviewScope(target) {
+    const { element, editor } = this.preview;
+    const textArea = editor.closest(this.TEXT_AREA_SELECTOR) || editor;
+    return target instanceof Node && (element.contains(target) || textArea.contains(target));
+  }
 
-      // Remove Discord reply/quote elements (citations)
-      const quotesToRemove = clone.querySelectorAll(
-        '[class*="repliedMessage"], ' +
-        '[class*="repliedText"], ' +
-        '[class*="blockquote"], ' +
-        '[id^="message-reply-context"]'  // Remove reply context by ID
-      );
-      quotesToRemove.forEach(quote => quote.remove());
-
-      // Remove embed elements (YouTube previews, images, etc.)
-      const embedsToRemove = clone.querySelectorAll(
-        '[class*="embed"], ' +
-        '[class*="embedWrapper"], ' +
-        '[class*="messageAccessories"], ' +
-        '[id^="message-accessories"]'
-      );
-      embedsToRemove.forEach(embed => embed.remove());
-
-      // Remove code blocks - we want to translate text around them, but not the code itself
-      // First remove all <pre> elements (which contain the code blocks)
-      const preElements = clone.querySelectorAll('pre');
-      preElements.forEach(pre => {
-        logger.debug('Removing <pre> element from message ' + elementIndex);
-        pre.remove();
-      });
-      
-      // Then remove any remaining <code> elements (inline code)
-      const codeElements = clone.querySelectorAll('code');
-      codeElements.forEach(code => {
-        logger.debug('Removing <code> element from message ' + elementIndex);
-        code.remove();
-      });
+  /**
+   * Translate the draft of a message input and show the preview
+   */
+  async translateDraft(textArea, language = null) {
+    const editor = textArea.querySelector(this.EDITOR_SELECTOR);
+    const draft = editor?.innerText.trim();
+    if (!draft) {
+      return;
+    }
 
-      // Get text without quotes, embeds, and code blocks
-      let text = clone.textContent.trim();
+    const targetLanguage = language || await this.chooseLanguage(draft);
+    const preview = this.showPreview(textArea, editor, draft, targetLanguage);
+    logger.log(`✍️ Translating draft to ${targetLanguage} (${draft.length} chars)`);
 
-      if (text.length === 0) {
-        logger.debug(`Message ${elementIndex}: Empty after removing quotes/embeds/code`);
-        return [];
+    try {
+      const [result] = await this.translator.requestTranslations([draft], { to: targetLanguage, format: 'text' });
+      if (preview !== this.preview || preview.language !== targetLanguage) {
+        return; // Closed or another language picked meanwhile
       }
 
-      // Remove URLs from text (don't translate links)
-      // Matches http://, https://, www. links, and discord.gg links
-      const urlRegex = /https?:\/\/[^\s]+|www\.[^\s]+|discord\.gg\/[^\s]+/gi;
-      const originalText = text;
-      text = text.replace(urlRegex, '').trim();
-
-      // If text was ONLY URLs, skip translation
-      if (text.length === 0) {
-        logger.debug(`Message ${elementIndex}: Only URLs, skipping translation`);
-        return [];
+      preview.translationInput.value = result.translatedText;
+      preview.translationInput.disabled = false;
+      preview.acceptButton.disabled = false;
+      preview.status.textContent = '';
+      preview.translationInput.focus();
+    } catch (error) {
+      logger.error('Draft translation failed:', error);
+      if (preview !== this.preview) {
+        return;
       }
 
-      // Skip if text is too short after removing URLs (probably just emoji or reaction)
-      if (text.length < 3) {
-        logger.debug(`Message ${elementIndex}: Text too short after URL removal (${text.length} chars): "${text}"`);
-        return [];
-      }
+      const reason = this.translator.describeFailure({ circuitOpen: error.circuitOpen, error: error.message });
+      preview.status.textContent = I18n.t('translationFailed', reason);
+      preview.status.classList.add('error');
+    }
+  }
 
-      // Log if URLs were removed
-      if (originalText !== text) {
-        logger.debug(`Message ${elementIndex}: Removed URLs, text: "${originalText.substring(0, 50)}..." -> "${text.substring(0, 50)}..."`);
-      }
+  /**
+   * Language picked for this channel, then the setting, then the most common language
+   * of recent messages (other than the draft's own language)
+   */
+  async chooseLanguage(draft) {
+    const channelId = this.translator.getCurrentChannelId();
+    if (this.channelLanguages.has(channelId)) {
+      return this.channelLanguages.get(channelId);
+    }
+    if (CONFIG.COMPOSER_LANGUAGE) {
+      return CONFIG.COMPOSER_LANGUAGE;
+    }
 
-      return [text];
-    };
+    const draftLanguage = (await this.translator.detectLanguageLocally(MessageContent.escapeHtml(draft)))?.language;
 
-    // Track which messageIds we've already seen in this batch
-    const seenMessageIds = new Set();
+    const messages = Array.from(document.querySelectorAll('[data-list-id="chat-messages"] [id^="message-content-"]'))
+      .slice(-CONFIG.COMPOSER_SAMPLE_MESSAGES);
+    const detections = await Promise.all(messages.map(element =>
+      this.translator.detectLanguageLocally(this.translator.extractCleanText(element))
+    ));
 
-    const textsToTranslate = messagesToProcess
-      .map((element, index) => {
-        const messageId = this.getMessageId(element);
+    const counts = new Map();
+    for (const detected of detections) {
+      const language = detected?.language.toLowerCase().split('-')[0];
+      if (language && language !== draftLanguage) {
+        counts.set(language, (counts.get(language) || 0) + 1);
+      }
+    }
 
-        // Skip if we've already seen this messageId (multiple markup elements for same message)
-        if (seenMessageIds.has(messageId)) {
-          logger.debug(`⏭️ Skipping duplicate messageId: ${messageId}`);
-          return null;
-        }
-        seenMessageIds.add(messageId);
+    const [dominant] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [];
+    const provider = TranslationService.getProvider();
+    logger.debug(`✍️ Channel languages: ${JSON.stringify(Object.fromEntries(counts))}, draft: ${draftLanguage || '?'}`);
 
-        const parts = extractTextParts(element, index);
-        const text = parts.join('');
-        logger.debug(`Message ${index} [${messageId}]: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+    return dominant && provider.supportsLanguage(dominant) ? dominant : 'en';
+  }
 
-        // If text is in cache, display cached translation and mark as processed
-        if (this.translationCache.has(text)) {
-          const cachedTranslation = this.translationCache.get(text);
-          logger.debug(`📦 Using cached translation for message ${index} [${messageId}]`);
-          try {
-            // Check if element still exists in DOM
-            if (element && element.isConnected) {
-              this.displayTranslation(element, cachedTranslation, index, messageId);
-            } else {
-              logger.debug(`⏭️ Cached element ${index} [${messageId}] no longer in DOM`);
-              this.processedMessages.add(messageId);
-            }
-          } catch (displayError) {
-            logger.error(`❌ Error displaying cached translation [${messageId}]:`, displayError);
-            this.processedMessages.add(messageId);
-          }
-          return null; // Skip this item
-        }
+  /**
+   * Show (or reuse) the preview above the message input, in loading state
+   */
+  showPreview(textArea, editor, draft, language) {
+    if (!this.preview || this.preview.editor !== editor) {
+      this.closePreview();
+      this.preview = this.createPreview(textArea, editor);
+    }
 
-        return { element, text, index, messageId }; // Store element reference and ID
-      })
-      .filter(item => item !== null && item.text);
+    const preview = this.preview;
+    preview.draft = draft;
+    preview.language = language;
+    preview.languageSelect.value = language;
+    preview.original.textContent = draft;
+    preview.translationInput.value = '';
+    preview.translationInput.disabled = true;
+    preview.acceptButton.disabled = true;
+    preview.status.textContent = I18n.t('translating');
+    preview.status.classList.remove('error');
+    return preview;
+  }
 
-    logger.log('Texts to translate:', textsToTranslate.length, 'of', messageElements.length);
+  createPreview(textArea, editor) {
+    const element = document.createElement('div');
+    element.className = this.PREVIEW_CLASS;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-label', I18n.t('messageTranslation'));
 
-    // Show some sample texts
-    if (textsToTranslate.length > 0) {
-      logger.log('Sample texts to translate:', textsToTranslate.slice(0, 3).map(item => `"${item.text.substring(0, 50)}..."`));
-    }
+    const header = document.createElement('header');
+    const title = document.createElement('span');
+    title.textContent = I18n.t('messageTranslation');
 
-    if (textsToTranslate.length === 0) {
-      logger.debug('All messages already cached, will check again in next cycle');
-      return;
+    const languageSelect = document.createElement('select');
+    languageSelect.setAttribute('aria-label', I18n.t('translationLanguage'));
+    for (const code of TranslationService.getProvider().languages) {
+      languageSelect.add(new Option(I18n.languageName(code), code));
     }
+    languageSelect.addEventListener('change', () => {
+      this.channelLanguages.set(this.translator.getCurrentChannelId(), languageSelect.value);
+      this.translateDraft(textArea, languageSelect.value);
+    });
+    header.append(title, languageSelect);
 
-    try {
-      const targetLanguage = CONFIG.TARGET_LANGUAGE;
-      logger.log(`Translating ${textsToTranslate.length} texts to Czech`);
+    const original = document.createElement('div');
+    original.className = 'original';
 
-      // Translate texts one by one instead of batch to avoid API issues
-      const translations = [];
-      for (let i = 0; i < textsToTranslate.length; i++) {
-        const { element, text, index, messageId } = textsToTranslate[i];
-        logger.log(`🔄 Translating ${i + 1}/${textsToTranslate.length} [${messageId}]: "${text.substring(0, 50)}..."`);
+    const translationInput = document.createElement('textarea');
+    translationInput.rows = 3;
+    translationInput.setAttribute('aria-label', I18n.t('translatedText'));
 
-        const { url, data } = TranslationService.prepareBatchTranslation(
-          [text], // Single text instead of batch
-          { to: targetLanguage }
-        );
+    const status = document.createElement('div');
+    status.className = 'status';
+    status.setAttribute('aria-live', 'polite');
 
-        try {
-          // LibreTranslate requires POST with JSON body
-          const requestUrl = url;
-          logger.log(`🌐 Making request to: ${requestUrl}`);
-          logger.log(`📦 Request body:`, data);
+    // The preview stays open when the editor can't be reached, so the translation isn't lost
+    const acceptButton = this.createPreviewButton(I18n.t('replaceDraft'), 'primary', async () => {
+      if (await this.replaceDraft(editor, translationInput.value)) {
+        this.closePreview();
+      } else {
+        this.showEditorError(status);
+      }
+    });
+    const sendOriginalButton = this.createPreviewButton(I18n.t('sendOriginal'), '', () => {
+      if (this.sendDraft(editor)) {
+        this.closePreview();
+      } else {
+        this.showEditorError(status);
+      }
+    });
+    const cancelButton = this.createPreviewButton(I18n.t('cancel'), '', () => {
+      this.closePreview();
+      editor.focus();
+    });
 
-          let responseText;
-          try {
-            // Wrap chrome.runtime.sendMessage in Promise for proper async/await
-            logger.log(`📞 Sending message to background script...`);
-            responseText = await new Promise((resolve, reject) => {
-              chrome.runtime.sendMessage(
-                JSON.stringify({
-                  type: 'fetch',
-                  args: [requestUrl, {
-                    method: 'POST',
-                    headers: {
-                      'Content-Type': 'application/json',
-                      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                    },
-                    body: data
-                  }]
-                }),
-                (response) => {
-                  logger.log(`📬 Background script callback received`);
-                  if (chrome.runtime.lastError) {
-                    logger.error(`❌ Chrome runtime error:`, chrome.runtime.lastError);
-                    reject(chrome.runtime.lastError);
-                  } else {
-                    logger.log(`✅ Response received from background, type: ${typeof response}`);
-                    resolve(response);
-                  }
-                }
-              );
-            });
-          } catch (messageError) {
-            logger.error(`❌ Error sending message to background:`, messageError);
-            translations.push({ originalText: text, translatedText: `MESSAGE_ERROR_${i}` });
-            continue;
-          }
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(acceptButton, sendOriginalButton, cancelButton);
 
-          logger.log(`📨 Response text length: ${responseText ? responseText.length : 'NULL/UNDEFINED'}`);
+    element.append(header, original, translationInput, status, actions);
+    textArea.parentElement.insertBefore(element, textArea);
 
-          if (responseText) {
-            // Log raw response
-            logger.debug(`📤 Raw response text (first 500 chars): ${responseText.substring(0, 500)}`);
+    return { element, editor, draft: '', language: null, languageSelect, original, translationInput, status, acceptButton };
+  }
 
-            let response;
-            try {
-              response = JSON.parse(responseText);
-              logger.debug(`📤 Parsed JSON response:`, response);
-            } catch (parseError) {
-              logger.error(`❌ Failed to parse response as JSON:`, parseError);
-              logger.error(`Response text: ${responseText.substring(0, 1000)}`);
-              translations.push({ originalText: text, translatedText: `PARSE_ERROR_${i}` });
-              continue;
-            }
+  createPreviewButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
 
-            // LibreTranslate API response format: { translatedText: "...", detectedLanguage: { ... } }
-            logger.debug(`📊 Response structure:`, response);
-
-            // Check if LibreTranslate API response is valid
-            if (response && response.translatedText) {
-              const translatedText = response.translatedText;
-              const detectedLang = response.detectedLanguage?.language || 'unknown';
-
-              logger.log(`✅ Translated [${messageId}]: "${text.substring(0, 30)}..." -> "${translatedText.substring(0, 30)}..."`);
-
-              // IMMEDIATELY add to cache
-              this.translationCache.set(text, translatedText);
-
-              // IMMEDIATELY display this translation and mark as processed
-              try {
-                // Check if element still exists in DOM
-                if (element && element.isConnected) {
-                  this.displayTranslation(element, translatedText, index, messageId);
-                } else {
-                  logger.debug(`⏭️ Element ${index} [${messageId}] no longer in DOM, skipping display`);
-                  // Still mark as processed to avoid retrying
-                  this.processedMessages.add(messageId);
-                }
-              } catch (displayError) {
-                logger.error(`❌ Error displaying translation [${messageId}]:`, displayError);
-                // Mark as processed to avoid infinite retries
-                this.processedMessages.add(messageId);
-              }
+  closePreview() {
+    this.preview?.element.remove();
+    this.preview = null;
+  }
 
-            } else {
-              logger.error(`❌ No translation in response:`, response);
-              this.translationCache.set(text, `NO_TRANSLATION_${i}`);
-            }
-          } else {
-            logger.log(`🚫 Error translating: "${text.substring(0, 30)}..." - No response`);
-            this.translationCache.set(text, `ERROR_${i}`);
-          }
-        } catch (error) {
-          logger.error(`Translation error for text ${i}:`, error);
-          this.translationCache.set(text, `ERROR_${i}`);
-        }
+  showEditorError(status) {
+    status.textContent = I18n.t('composerEditorUnavailable');
+    status.classList.add('error');
+  }
 
-        // Small delay between requests to avoid overwhelming API
-        await delay(CONFIG.API_DELAY_MS);
-      }
+  /**
+   * Focus Discord's editor, false when the focus didn't arrive (editor re-created or covered by a modal)
+   */
+  focusEditor(editor) {
+    if (!editor.isConnected) {
+      return false;
+    }
+    editor.focus();
+    return editor.contains(document.activeElement);
+  }
 
-      logger.log('💾 Cache now contains:', this.translationCache.size, 'translations');
-      logger.log('✅ All translations displayed immediately after each API call');
+  /**
+   * Replace the draft in Discord's editor, false when the editor couldn't be focused
+   * Slate keeps its own model of the text, so the change has to arrive as a user paste
+   * over a selection of the whole draft
+   */
+  async replaceDraft(editor, text) {
+    if (!this.focusEditor(editor)) {
+      return false;
+    }
 
-      // Send stats to background
-      await this.sendStats();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
 
-    } catch (error) {
-      logger.error('Translation error:', error);
-      logger.error('Error details:', {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
-      });
+    // Slate reads the DOM selection on selectionchange, the paste must not arrive before it
+    await delay(CONFIG.COMPOSER_SELECTION_DELAY_MS);
+    if (!this.focusEditor(editor)) {
+      return false;
     }
 
-    // Send stats to background after processing
-    await this.sendStats();
+    const data = new DataTransfer();
+    data.setData('text/plain', text);
+    editor.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+    return true;
   }
 
   /**
-   * Display a single translation immediately after it's translated
+   * Send the draft as it is, like pressing Enter in the editor
+   * Returns false when the editor couldn't be focused
    */
-  displayTranslation(messageElement, translatedText, index, messageId) {
-    // Validate inputs first
-    if (!messageElement) {
-      logger.error(`❌ displayTranslation called with null messageElement [${messageId}]`);
-      return;
+  sendDraft(editor) {
+    if (!this.focusEditor(editor)) {
+      return false;
     }
+    editor.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'Enter',
+      code: 'Enter',
+      keyCode: 13,
+      which: 13,
+      bubbles: true,
+      cancelable: true
+    }));
+    return true;
+  }
+}
 
-    if (!messageElement.isConnected) {
-      logger.debug(`⏭️ Element ${index} [${messageId}] not in DOM, skipping display`);
-      this.processedMessages.add(messageId);
-      return;
-    }
+// ============================================================================
+// SELECTION TRANSLATION
+// ============================================================================
 
-    if (!translatedText || translatedText.trim().length === 0) {
-      logger.debug(`⏭️ Empty translation for ${index} [${messageId}], skipping display`);
-      this.processedMessages.add(messageId);
-      return;
-    }
+/**
+ * Translates text selected anywhere on Discord (profiles, bios, topics, embeds, parts of messages)
+ *
+ * The background script forwards the "Translate selection" context menu click, the result is shown
+ * in a small popover next to the selection with copy and swap-language actions
+ */
+class SelectionTranslator {
+  constructor(translator) {
+    this.translator = translator;
+    this.POPOVER_CLASS = 'discord-translator-selection';
+    this.popover = null; // { element, languages, output, status, copyButton, swapButton }
+    this.request = null; // { text, from, to, source, translation } of the shown translation
+    this.lastContextMenu = null; // { x, y } of the last right click, fallback position
+  }
 
-    logger.log(`➕ Displaying translation ${index} [${messageId}]: "${translatedText.substring(0, 30)}..."`);
+  start() {
+    this.injectStyles();
 
-    // Check if already processed using our Set (most reliable)
-    if (this.processedMessages.has(messageId)) {
-      logger.log(`⏭️ Skipping [${messageId}]: already in processedMessages Set`);
-      return;
-    }
+    const { signal } = this.translator.context;
+    document.addEventListener('contextmenu', (event) => {
+      this.lastContextMenu = { x: event.clientX, y: event.clientY };
+    }, { capture: true, passive: true, signal });
 
-    // Check if translation already exists as next sibling
-    if (messageElement.nextSibling?.classList?.contains(this.TRANSLATION_CLASS)) {
-      logger.log(`⏭️ Skipping [${messageId}]: translation already exists as next sibling`);
-      // Still mark as processed
-      this.processedMessages.add(messageId);
+    // Escape or a click outside dismisses the popover
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.popover) {
+        event.stopPropagation();
+        this.close();
+      }
+    }, { capture: true, signal });
+    document.addEventListener('mousedown', (event) => {
+      if (this.popover && !this.popover.element.contains(event.target)) {
+        this.close();
+      }
+    }, { capture: true, signal });
+
+    this.translator.context.onInvalidated(() => this.close());
+  }
+
+  injectStyles() {
+    if (document.getElementById('discord-translator-selection-styles')) {
       return;
     }
 
-    // Create translation element
-    const translationSpan = document.createElement('div');
-    translationSpan.className = 'discord-translator-translation';
-
-    // Minimal styling - transparent, blends with Discord
-    const baseStyle = {
-      fontSize: '14px',
-      fontStyle: 'normal',
-      marginTop: '2px',
-      marginBottom: '0px',
-      padding: '0px',
-      lineHeight: '1.375rem',
-      fontFamily: 'gg sans, "Noto Sans", "Helvetica Neue", Helvetica, Arial, sans-serif',
-      opacity: '0.8',
-      backgroundColor: 'transparent',
-      border: 'none',
-      borderRadius: '0px'
-    };
+    const styleElement = document.createElement('style');
+    styleElement.id = 'discord-translator-selection-styles';
+    styleElement.textContent = `
+      .${this.POPOVER_CLASS} {
+        position: fixed;
+        z-index: 10000;
+        box-sizing: border-box;
+        width: 320px;
+        max-width: calc(100vw - 16px);
+        padding: 8px 12px;
+        border-radius: 8px;
+        background: var(--background-floating, #111214);
+        color: var(--text-normal, #dbdee1);
+        box-shadow: 0 8px 16px rgba(0, 0, 0, 0.24);
+        font-size: 14px;
+      }
+      
+      .${this.POPOVER_CLASS} header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 6px;
+        font-size: 12px;
+        font-weight: 600;
+        text-transform: uppercase;
+        color: var(--text-muted, #949ba4);
+      }
+      
+      .${this.POPOVER_CLASS} .output {
+        max-height: 240px;
+        overflow-y: auto;
+        white-space: pre-wrap;
+        overflow-wrap: anywhere;
+        user-select: text;
+      }
+      
+      .${this.POPOVER_CLASS} .status {
+        min-height: 1em;
+        font-size: 12px;
+        color: var(--text-muted, #949ba4);
+      }
+      
+      .${this.POPOVER_CLASS} .status.error {
+        color: var(--text-danger, #f23f43);
+      }
+      
+      .${this.POPOVER_CLASS} .actions {
+        display: flex;
+        gap: 8px;
+        margin-top: 6px;
+      }
+      
+      .${this.POPOVER_CLASS} button {
+        padding: 4px 12px;
+        border: none;
+        border-radius: 4px;
+        background: var(--button-secondary-background, #4e5058);
+        color: white;
+        font: inherit;
+        cursor: pointer;
+      }
+      
+      .${this.POPOVER_CLASS} header button {
+        padding: 0 4px;
+        background: none;
+        color: inherit;
+      }
+      
+      .${this.POPOVER_CLASS} button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+    `;
 
-    // Debug styling (yellow + red) or production styling (minimal transparent)
-    const debugStyle = CONFIG.DEBUG_STYLING ? {
-      backgroundColor: '#ffff00', // Yellow background
-      border: '2px solid #ff0000', // Red border
-      padding: '8px 12px',
-      borderRadius: '4px',
-      opacity: '1'
-    } : {
-      // Minimal production style - just color
-      color: 'var(--text-muted, #949ba4)' // Discord's muted text color
-    };
+    document.head.appendChild(styleElement);
+  }
+
+  /**
+   * Translate the current selection (context menu), the menu's text is used when the page selection is gone
+   */
+  async translateSelection(selectionText) {
+    const selection = window.getSelection();
+    const text = selection?.toString().trim() || selectionText?.trim();
+    if (!text) {
+      return;
+    }
 
-    Object.assign(translationSpan.style, { ...baseStyle, ...debugStyle });
+    const anchor = selection?.rangeCount ? selection.getRangeAt(0).getBoundingClientRect() : null;
+    this.open(anchor);
+    await this.translate({ text, from: 'auto', to: this.translator.getChannelRule().targetLanguage });
+  }
 
-    // Translated text without flag emoji
-    translationSpan.textContent = translatedText;
+  /**
+   * Translate text and show the result, newer requests replace older ones
+   */
+  async translate({ text, from, to }) {
+    const request = { text, from, to, source: from === 'auto' ? null : from, translation: null };
+    this.request = request;
+    this.showLoading();
+    logger.log(`🔤 Translating selection ${from} → ${to} (${text.length} chars)`);
 
     try {
-      // Insert directly after the message element
-      const parent = messageElement.parentElement;
-      
-      // Validate parent exists and is still in DOM
-      if (!parent || !parent.isConnected) {
-        logger.debug(`⏭️ Parent element not found or not in DOM [${messageId}]`);
-        this.processedMessages.add(messageId);
-        return;
+      const [result] = await this.translator.requestTranslations([text], { from, to, format: 'text' });
+      if (request !== this.request || !this.popover) {
+        return; // Closed or replaced meanwhile
       }
 
-      if (messageElement.nextSibling) {
-        parent.insertBefore(translationSpan, messageElement.nextSibling);
-      } else {
-        parent.appendChild(translationSpan);
+      request.translation = result.translatedText;
+      request.source = request.source || this.normalizeLanguage(result.detectedLanguage?.language);
+      this.showResult();
+    } catch (error) {
+      logger.error('Selection translation failed:', error);
+      if (request !== this.request || !this.popover) {
+        return;
       }
 
-      logger.log(`✅ Translation displayed for message ${index} [${messageId}]`);
+      const reason = this.translator.describeFailure({ circuitOpen: error.circuitOpen, error: error.message });
+      this.popover.status.textContent = I18n.t('translationFailed', reason);
+      this.popover.status.classList.add('error');
+    }
+  }
 
-      // Mark as processed in our Set - MOST IMPORTANT
-      this.processedMessages.add(messageId);
+  /**
+   * Swap directions: the translation is translated back into the source language
+   * Text already in the target language goes to the channel's other language (same choice as the composer)
+   */
+  async swapLanguages() {
+    const { translation, to, source } = this.request;
+    const provider = TranslationService.getProvider();
+    const newTarget = source && source !== to && provider.supportsLanguage(source)
+      ? source
+      : await this.translator.composer.chooseLanguage(translation);
+
+    await this.translate({ text: translation, from: to, to: newTarget });
+  }
 
-      // Also set attribute as backup
-      messageElement.setAttribute(this.PROCESSED_ATTRIBUTE, '1');
+  async copyTranslation() {
+    try {
+      await navigator.clipboard.writeText(this.request.translation);
+      this.popover.status.textContent = I18n.t('copied');
+    } catch (error) {
+      logger.error('Copying translation failed:', error);
+      this.popover.status.textContent = I18n.t('copyFailed');
+    }
+  }
 
-      // Store in messageTranslations map for reference
-      this.messageTranslations.set(messageId, {
-        text: messageElement.textContent.trim(),
-        translation: translatedText,
-        element: messageElement,
-        timestamp: Date.now()
-      });
+  /**
+   * Detected languages may come with a region (en-US), settings use plain codes
+   */
+  normalizeLanguage(language) {
+    return language ? language.toLowerCase().split('-')[0] : null;
+  }
 
-      logger.debug(`✓ Message ${index} [${messageId}] marked as processed in Set (total: ${this.processedMessages.size})`);
+  /**
+   * Create the popover below the selection (or at the right click), kept inside the window
+   */
+  open(anchor) {
+    this.close();
+
+    const element = document.createElement('div');
+    element.className = this.POPOVER_CLASS;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-label', I18n.t('selectionTranslation'));
+
+    const header = document.createElement('header');
+    const languages = document.createElement('span');
+    const closeButton = this.createButton('✕', () => this.close());
+    closeButton.title = I18n.t('close');
+    closeButton.setAttribute('aria-label', I18n.t('close'));
+    header.append(languages, closeButton);
+
+    const output = document.createElement('div');
+    output.className = 'output';
+    output.setAttribute('dir', 'auto');
+
+    const status = document.createElement('div');
+    status.className = 'status';
+    status.setAttribute('aria-live', 'polite');
+
+    const copyButton = this.createButton(I18n.t('copy'), () => this.copyTranslation());
+    const swapButton = this.createButton(I18n.t('swapLanguages'), () => this.swapLanguages());
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    actions.append(copyButton, swapButton);
+
+    element.append(header, output, status, actions);
+    document.body.appendChild(element);
+    this.popover = { element, languages, output, status, copyButton, swapButton };
+
+    const point = anchor && (anchor.width || anchor.height)
+      ? { x: anchor.left, y: anchor.bottom }
+      : this.lastContextMenu || { x: window.innerWidth / 2, y: window.innerHeight / 3 };
+    const { width, height } = element.getBoundingClientRect();
+    element.style.left = `${Math.max(8, Math.min(point.x, window.innerWidth - width - 8))}px`;
+    element.style.top = `${point.y + 8 + height > window.innerHeight ? Math.max(8, point.y - height - 8) : point.y + 8}px`;
+  }
 
-    } catch (error) {
-      logger.error(`💥 Error displaying translation [${messageId}]:`, error.message || error);
-      logger.debug('Error details:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      });
-      // Mark as processed to prevent infinite retries
-      this.processedMessages.add(messageId);
-    }
+  showLoading() {
+    const { languages, output, status, copyButton, swapButton } = this.popover;
+    const { from, to } = this.request;
+    languages.textContent = `${from === 'auto' ? '?' : from} → ${to}`;
+    output.textContent = '';
+    status.textContent = I18n.t('translating');
+    status.classList.remove('error');
+    copyButton.disabled = true;
+    swapButton.disabled = true;
+  }
+
+  showResult() {
+    const { languages, output, status, copyButton, swapButton } = this.popover;
+    const { source, to, translation } = this.request;
+    languages.textContent = `${source || '?'} → ${to}`;
+    output.textContent = translation;
+    output.setAttribute('lang', to);
+    status.textContent = '';
+    copyButton.disabled = false;
+    swapButton.disabled = false;
+    copyButton.focus();
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  close() {
+    this.popover?.element.remove();
+    this.popover = null;
+    this.request = null;
   }
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Discord Message Translator - Localization
+ * Author: Tomáš Mark
+ *
+ * UI strings from the _locales message catalogs, shared by the content script,
+ * background script and extension pages
+ * The language follows the browser (chrome.i18n) unless the uiLanguage setting picks a catalog
+ */
+
+// Catalogs in _locales, the uiLanguage setting can pick one of them ('' = browser language)
+const UI_LANGUAGES = ['en', 'cs'];
+
+class I18n {
+  // Catalog picked by the uiLanguage setting, null = chrome.i18n with the browser language
+  static messages = null;
+
+  /**
+   * Use the catalog of a UI language, '' switches back to the browser language
+   */
+  static async load(uiLanguage) {
+    this.messages = null;
+    if (!UI_LANGUAGES.includes(uiLanguage)) {
+      return;
+    }
+
+    try {
+      this.messages = await this.fetchCatalog(uiLanguage);
+    } catch (error) {
+      console.warn('[Discord Translator] Could not load UI language', uiLanguage, error);
+    }
+  }
+
+  /**
+   * Read a messages.json catalog
+   * Content scripts can't read extension files directly, the background script reads them
+   */
+  static async fetchCatalog(language) {
+    if (location.protocol !== 'chrome-extension:') {
+      const response = await chrome.runtime.sendMessage(JSON.stringify({ type: 'getLocaleMessages', args: [language] }));
+      return JSON.parse(response);
+    }
+
+    const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+    return response.json();
+  }
+
+  /**
+   * Localized string, substitutions fill the catalog placeholders ($1, $2, …)
+   * Unknown keys return the key itself so a missing string is easy to spot
+   */
+  static t(key, substitutions = []) {
+    const args = [].concat(substitutions).map(String);
+    const entry = this.messages?.[key];
+    if (!entry) {
+      return chrome.i18n.getMessage(key, args) || key;
+    }
+
+    // Same rules as chrome.i18n: named placeholders, then $1-$9, $$ is a dollar sign
+    const placeholders = entry.placeholders || {};
+    return entry.message
+      .replace(/\$(\w+)\$/g, (match, name) => placeholders[name.toLowerCase()]?.content ?? match)
+      .replace(/\$(\d)/g, (match, index) => args[index - 1] ?? '')
+      .replace(/\$\$/g, '$');
+  }
+
+  /**
+   * Language of the strings in use (the browser falls back to English without a catalog)
+   */
+  static get language() {
+    return this.t('locale');
+  }
+
+  /**
+   * Name of a language in the UI language ('cs' -> 'Czech' / 'čeština')
+   */
+  static languageName(code) {
+    try {
+      return new Intl.DisplayNames([this.language], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return LANGUAGE_NAMES[code] || code;
+    }
+  }
+
+  /**
+   * Fill elements marked with data-i18n (text), data-i18n-title, data-i18n-placeholder
+   * and data-i18n-aria-label on extension pages
+   */
+  static localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+      el.title = this.t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.placeholder = this.t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', this.t(el.dataset.i18nAriaLabel));
+    });
+    document.documentElement.lang = this.language;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Discord Message Translator - Message Identity
+ * Author: Tomáš Mark
+ *
+ * Stable identity of a rendered message (channel ID and snowflake message ID)
+ * Used by the content script for every per-message cache and store
+ */
+
+// Discord element IDs that carry the message ID, first match wins
+// chat-messages-{channelId}-{messageId}: main chat, threads and forum posts (channel = thread ID)
+// message-content-{messageId}, message-accessories-{messageId}: parts of any rendered message
+// {prefix}-{channelId}-{messageId}: search results, inbox and pinned messages
+const MESSAGE_ID_PATTERNS = [
+  { pattern: /^chat-messages-(\d{17,20})-(\d{17,20})$/, channel: 1, message: 2 },
+  { pattern: /^(?:message-content|message-accessories|message-reply-context)-(\d{17,20})$/, message: 1 },
+  { pattern: /-(\d{17,20})-(\d{17,20})$/, channel: 1, message: 2 }
+];
+
+// Parts of a message that render other content: the replied-to message preview, embeds and attachments
+// Their IDs carry the ID of the message they belong to, markup inside them gets its own key
+const MESSAGE_PART_PATTERN = /^(message-reply-context|message-accessories)-\d{17,20}$/;
+
+class MessageIdentity {
+  /**
+   * Deterministic key for a message markup element
+   * The snowflake message ID is globally unique, so it's the key wherever the message is shown.
+   * Markup in a reply preview or embed gets the part as a suffix ('{messageId}:message-accessories')
+   * so it never shares the key of the message body.
+   * Messages without an ID (e.g. pending ones) get a hash of channel and text
+   */
+  static getKey(markupElement) {
+    const { messageId, channelId, part } = this.findIds(markupElement);
+    if (messageId) {
+      return part ? `${messageId}:${part}` : messageId;
+    }
+
+    const text = markupElement.textContent.trim();
+    return `text-${this.hash(`${channelId || ''}|${part || ''}|${text}`)}`;
+  }
+
+  /**
+   * Walk up from the markup element and collect channel and message IDs from element IDs
+   * part is the reply preview or accessories element the markup is in (see MESSAGE_PART_PATTERN)
+   */
+  static findIds(element) {
+    let messageId = null;
+    let channelId = null;
+    let part = null;
+
+    for (let current = element; current && current !== document.body; current = current.parentElement) {
+      part = part || current.id?.match(MESSAGE_PART_PATTERN)?.[1] || null;
+
+      // The list item also carries the IDs in data-list-item-id ("chat-messages___chat-messages-{channel}-{message}")
+      const candidates = [current.id, current.dataset?.listItemId?.split('___').pop()];
+
+      for (const candidate of candidates) {
+        if (!candidate) continue;
+
+        for (const { pattern, channel, message } of MESSAGE_ID_PATTERNS) {
+          const match = candidate.match(pattern);
+          if (!match) continue;
+
+          messageId = messageId || match[message];
+          if (channel) {
+            channelId = match[channel];
+          }
+          break;
+        }
+      }
+
+      if (messageId && channelId) break;
+    }
+
+    return { messageId, channelId, part };
+  }
+
+  /**
+   * Outer element of the message (list item or article)
+   */
+  static findContainer(element) {
+    return element.closest('[id^="chat-messages-"], [data-list-item-id], [role="article"]');
+  }
+
+  static hash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash) + str.charCodeAt(i);
+      hash = hash & hash; // Convert to 32bit integer
+    }
+    return Math.abs(hash).toString(36);
+  }
+}
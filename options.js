@@ -0,0 +1,396 @@
+/**
+ * Discord Message Translator - Options Page
+ * Author: Tomáš Mark
+ *
+ * Edits all settings from SETTINGS_SCHEMA (stored in chrome.storage.sync),
+ * imports and exports them as JSON for sharing a team setup
+ */
+
+const form = document.getElementById('settings-form');
+const statusElement = document.getElementById('status');
+const providerSelect = document.getElementById('provider');
+const apiUrlInput = document.getElementById('apiUrl');
+const apiKeyInput = document.getElementById('apiKey');
+const modelInput = document.getElementById('model');
+const targetSelect = document.getElementById('targetLanguage');
+const rulesTable = document.getElementById('translationRules');
+
+// UI language the page was built in, set by restoreSettings()
+let pageLanguage = '';
+
+// Server, key and model of every provider set up (providerConfigs setting), the provider
+// the server fields currently show is kept in there when another provider is picked
+let providerConfigs = {};
+let fieldsProvider = '';
+
+/**
+ * Show a short status message next to the save button
+ */
+function showStatus(text, isError = false) {
+  statusElement.textContent = text;
+  statusElement.classList.toggle('error', isError);
+  if (!isError) {
+    setTimeout(() => { statusElement.textContent = ''; }, 2000);
+  }
+}
+
+/**
+ * Read a setting from its form field (field ID = setting key)
+ */
+function readField(key) {
+  const input = document.getElementById(key);
+  switch (SETTINGS_SCHEMA[key].type) {
+    case 'boolean':
+      return input.checked;
+    case 'number':
+      return input.value === '' ? NaN : Number(input.value);
+    case 'languages':
+      return Array.from(input.selectedOptions, option => option.value);
+    case 'rules':
+      return readRules();
+    case 'providers':
+      return { ...providerConfigs, [providerSelect.value]: readProviderFields() };
+    default:
+      return input.value;
+  }
+}
+
+/**
+ * Write a setting to its form field
+ */
+function writeField(key, value) {
+  const input = document.getElementById(key);
+  if (SETTINGS_SCHEMA[key].type === 'boolean') {
+    input.checked = value;
+  } else if (SETTINGS_SCHEMA[key].type === 'languages') {
+    for (const option of input.options) {
+      option.selected = value.includes(option.value);
+    }
+  } else if (SETTINGS_SCHEMA[key].type === 'rules') {
+    input.replaceChildren(...Object.entries(value).map(([ruleKey, rule]) => createRuleRow(ruleKey, rule)));
+  } else if (SETTINGS_SCHEMA[key].type === 'providers') {
+    providerConfigs = { ...value };
+  } else {
+    input.value = value;
+  }
+}
+
+/**
+ * Build an editable table row for a server ('<guildId>') or channel ('<guildId>/<channelId>') rule
+ */
+function createRuleRow(key, rule) {
+  const row = document.createElement('tr');
+  row.dataset.key = key;
+  row.dataset.name = rule.name || '';
+
+  const nameCell = row.insertCell();
+  nameCell.textContent = I18n.t(key.includes('/') ? 'optionsRuleChannel' : 'optionsRuleServer', rule.name || key);
+  nameCell.title = key;
+
+  const modeSelect = document.createElement('select');
+  modeSelect.className = 'rule-mode';
+  modeSelect.add(new Option(I18n.t('modeDefault'), ''));
+  modeSelect.add(new Option(I18n.t('modeAuto'), 'auto'));
+  modeSelect.add(new Option(I18n.t('modeManual'), 'manual'));
+  modeSelect.add(new Option(I18n.t('modeOff'), 'off'));
+  modeSelect.value = rule.mode || '';
+  row.insertCell().append(modeSelect);
+
+  const languageSelect = document.createElement('select');
+  languageSelect.className = 'rule-language';
+  languageSelect.add(new Option(I18n.t('optionsRuleDefaultLanguage'), ''));
+  for (const code of ALL_LANGUAGES) {
+    languageSelect.add(new Option(I18n.languageName(code), code));
+  }
+  languageSelect.value = rule.targetLanguage || '';
+  row.insertCell().append(languageSelect);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'secondary';
+  removeButton.textContent = '✕';
+  removeButton.title = I18n.t('optionsRemoveRule');
+  removeButton.addEventListener('click', () => row.remove());
+  row.insertCell().append(removeButton);
+
+  return row;
+}
+
+/**
+ * Collect rules from the table, rows left at Default are dropped
+ */
+function readRules() {
+  const rules = {};
+  for (const row of rulesTable.rows) {
+    const rule = {
+      mode: row.querySelector('.rule-mode').value,
+      targetLanguage: row.querySelector('.rule-language').value,
+      name: row.dataset.name
+    };
+    if (!rule.mode && !rule.targetLanguage) continue;
+
+    rules[row.dataset.key] = Object.fromEntries(Object.entries(rule).filter(([, value]) => value));
+  }
+  return rules;
+}
+
+/**
+ * Server fields of the provider they currently show
+ */
+function readProviderFields() {
+  return { apiUrl: apiUrlInput.value.trim(), apiKey: apiKeyInput.value.trim(), model: modelInput.value.trim() };
+}
+
+function readForm() {
+  return Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map(key => [key, readField(key)]));
+}
+
+/**
+ * Fill all form fields, provider-dependent fields are refreshed too
+ */
+function writeForm(settings) {
+  providerSelect.value = TranslationProviders.get(settings.provider).id;
+  fieldsProvider = providerSelect.value;
+  if (!targetSelect.querySelector(`option[value="${settings.targetLanguage}"]`)) {
+    targetSelect.add(new Option(settings.targetLanguage, settings.targetLanguage));
+  }
+  targetSelect.value = settings.targetLanguage;
+  updateProviderFields();
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (key !== 'provider' && key !== 'targetLanguage') {
+      writeField(key, value);
+    }
+  }
+}
+
+/**
+ * Highlight invalid fields, returns true when there are none
+ */
+function showErrors(errors) {
+  document.querySelectorAll('.field.invalid').forEach(field => field.classList.remove('invalid'));
+
+  const keys = Object.keys(errors);
+  for (const key of keys) {
+    document.getElementById(key)?.closest('.field')?.classList.add('invalid');
+  }
+
+  if (keys.length > 0) {
+    const label = document.querySelector(`label[for="${keys[0]}"]`)?.textContent || keys[0];
+    showStatus(`${label}: ${errors[keys[0]]}`, true);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Update provider-dependent fields (URL hint, API key hint, model, languages)
+ */
+function updateProviderFields() {
+  const provider = TranslationProviders.get(providerSelect.value);
+
+  apiUrlInput.placeholder = provider.defaultUrl;
+  document.getElementById('apiUrl-hint').textContent = I18n.t('optionsDefaultUrl', provider.defaultUrl);
+  document.getElementById('apiKey-hint').textContent = provider.capabilities.apiKey === 'required'
+    ? I18n.t('optionsApiKeyRequired')
+    : I18n.t('optionsApiKeyOptional');
+  document.getElementById('model-field').hidden = !provider.capabilities.model;
+
+  const selectedLanguage = targetSelect.value;
+  targetSelect.replaceChildren(
+    new Option(I18n.t('targetLanguageAuto'), ''),
+    ...provider.languages.map(code => new Option(`${I18n.languageName(code)} (${code})`, code))
+  );
+  targetSelect.value = provider.supportsLanguage(selectedLanguage) ? selectedLanguage : '';
+}
+
+/**
+ * Build the form from the schema and fill it with stored settings
+ */
+async function restoreSettings() {
+  const settings = await Settings.load();
+  pageLanguage = settings.uiLanguage;
+  await I18n.load(pageLanguage);
+  I18n.localizePage();
+
+  for (const provider of TranslationProviders.list()) {
+    providerSelect.add(new Option(provider.name, provider.id));
+  }
+
+  for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+    const input = document.getElementById(key);
+    if (schema.type === 'number') {
+      input.min = schema.min;
+      input.max = schema.max;
+    } else if (schema.type === 'languages') {
+      for (const code of ALL_LANGUAGES) {
+        input.add(new Option(`${I18n.languageName(code)} (${code})`, code));
+      }
+    }
+  }
+
+  const composerSelect = document.getElementById('composerLanguage');
+  composerSelect.add(new Option(I18n.t('optionsComposerAuto'), ''));
+  for (const code of ALL_LANGUAGES) {
+    composerSelect.add(new Option(`${I18n.languageName(code)} (${code})`, code));
+  }
+
+  writeForm(settings);
+  await showCacheSize();
+}
+
+/**
+ * Show number of translations in the persistent cache
+ */
+async function showCacheSize() {
+  try {
+    const response = await chrome.runtime.sendMessage(JSON.stringify({ type: 'cacheStats', args: [] }));
+    const { size } = JSON.parse(response);
+    document.getElementById('cache-size').textContent = I18n.t('optionsCacheSize', size);
+  } catch (error) {
+    document.getElementById('cache-size').textContent = '';
+  }
+}
+
+document.getElementById('clear-cache').addEventListener('click', async () => {
+  await chrome.runtime.sendMessage(JSON.stringify({ type: 'clearCache', args: [] }));
+  await showCacheSize();
+  showStatus(I18n.t('optionsCacheCleared'));
+});
+
+document.getElementById('add-rule').addEventListener('click', () => {
+  const input = document.getElementById('rule-location');
+  const value = input.value.trim();
+
+  let key = RULE_KEY_PATTERN.test(value) ? value : null;
+  try {
+    const location = Settings.getChannelLocation(value);
+    if (location) {
+      key = `${location.guildId}/${location.channelId}`;
+    }
+  } catch (error) {
+    // Not a URL, only plain IDs are accepted
+  }
+
+  if (!key) {
+    showStatus(I18n.t('optionsRuleInvalid'), true);
+    return;
+  }
+
+  const existing = Array.from(rulesTable.rows).find(row => row.dataset.key === key);
+  if (existing) {
+    existing.querySelector('.rule-mode').focus();
+  } else {
+    rulesTable.append(createRuleRow(key, {}));
+    rulesTable.lastElementChild.querySelector('.rule-mode').focus();
+  }
+  input.value = '';
+});
+
+providerSelect.addEventListener('change', () => {
+  providerConfigs[fieldsProvider] = readProviderFields();
+  fieldsProvider = providerSelect.value;
+
+  const saved = providerConfigs[fieldsProvider];
+  if (saved) {
+    apiUrlInput.value = saved.apiUrl || '';
+    apiKeyInput.value = saved.apiKey || '';
+    modelInput.value = saved.model || '';
+  } else {
+    // Switch to the new provider's default URL unless a custom one was entered
+    const isDefaultUrl = !apiUrlInput.value ||
+      TranslationProviders.list().some(provider => provider.defaultUrl === apiUrlInput.value);
+    if (isDefaultUrl) {
+      apiUrlInput.value = TranslationProviders.get(providerSelect.value).defaultUrl;
+    }
+    apiKeyInput.value = '';
+    modelInput.value = '';
+  }
+
+  updateProviderFields();
+});
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+
+  const { values, errors } = Settings.validate(readForm());
+  const provider = TranslationProviders.get(values.provider);
+
+  if (!errors.apiKey && provider.capabilities.apiKey === 'required' && !values.apiKey) {
+    errors.apiKey = I18n.t('optionsKeyRequiredBy', provider.name);
+  }
+
+  if (!showErrors(errors)) {
+    return;
+  }
+
+  // Must be requested directly from the user gesture, before any other await
+  // The servers of the other providers set up here are used for single messages
+  const urls = Object.entries(values.providerConfigs)
+    .map(([id, config]) => config.apiUrl || TranslationProviders.get(id).defaultUrl);
+  const origins = [...new Set([values.apiUrl, ...urls].map(url => Settings.getOriginPattern(url)))];
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) {
+    showStatus(I18n.t('optionsAccessDenied', origins.join(', ')), true);
+    return;
+  }
+
+  await Settings.save(values);
+
+  // Strings are only filled in when the page loads, show it again in the new language
+  if (values.uiLanguage !== pageLanguage) {
+    location.reload();
+    return;
+  }
+  showStatus(I18n.t('optionsSaved'));
+});
+
+document.getElementById('export-settings').addEventListener('click', async () => {
+  const stored = await Settings.load();
+  const settings = document.getElementById('export-include-key').checked ? stored : Settings.withoutSecrets(stored);
+
+  const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'dimetrans-settings.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('import-settings').addEventListener('click', () => {
+  document.getElementById('import-file').click();
+});
+
+document.getElementById('import-file').addEventListener('change', async (event) => {
+  const [file] = event.target.files;
+  event.target.value = '';
+  if (!file) return;
+
+  let imported;
+  try {
+    imported = JSON.parse(await file.text());
+    if (typeof imported !== 'object' || imported === null || Array.isArray(imported)) {
+      throw new Error('Not a settings object');
+    }
+  } catch (error) {
+    showStatus(I18n.t('optionsInvalidFile'), true);
+    return;
+  }
+
+  const { values, errors } = Settings.validate(imported);
+  if (!showErrors(errors)) {
+    return;
+  }
+
+  // Files exported without keys keep the keys entered here
+  for (const [id, config] of Object.entries(values.providerConfigs || {})) {
+    config.apiKey = config.apiKey ?? providerConfigs[id]?.apiKey ?? '';
+  }
+
+  // Imported values only fill the form, Save asks for server access and stores them
+  writeForm({ ...readForm(), ...values });
+  statusElement.classList.remove('error');
+  statusElement.textContent = I18n.t('optionsImported', Object.keys(values).length);
+});
+
+restoreSettings();
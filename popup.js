@@ -0,0 +1,160 @@
+/**
+ * Discord Message Translator - Popup
+ * Author: Tomáš Mark
+ *
+ * Quick controls (on/off, mode, target language, rules for the open channel) and live stats
+ * Settings are saved to chrome.storage, open Discord tabs pick them up immediately
+ */
+
+const activeCheckbox = document.getElementById('active');
+const modeSelect = document.getElementById('mode');
+const targetSelect = document.getElementById('targetLanguage');
+const serverModeSelect = document.getElementById('server-mode');
+const channelModeSelect = document.getElementById('channel-mode');
+const channelLanguageSelect = document.getElementById('channel-language');
+
+// Open Discord channel, set by initRules()
+let currentLocation = null;
+let currentName = '';
+
+/**
+ * Send a message to the background script and parse the JSON response
+ */
+async function sendToBackground(type, args = []) {
+  const response = await chrome.runtime.sendMessage(JSON.stringify({ type, args }));
+  return JSON.parse(response);
+}
+
+/**
+ * Show stats reported by the content script
+ */
+function renderStats(stats) {
+  document.getElementById('stat-translated').textContent = stats.translated ?? 0;
+  document.getElementById('stat-errors').textContent = stats.errors ?? 0;
+
+  const server = document.getElementById('stat-server');
+  server.textContent = I18n.t(stats.serverStatus === 'down' ? 'popupServerDown' : 'popupServerOk');
+  server.className = stats.serverStatus === 'down' ? 'status-down' : 'status-up';
+}
+
+/**
+ * Show number of translations in the persistent cache
+ */
+async function renderCacheSize() {
+  try {
+    const { size } = await sendToBackground('cacheStats');
+    document.getElementById('stat-cached').textContent = size;
+  } catch (error) {
+    document.getElementById('stat-cached').textContent = '–';
+  }
+}
+
+/**
+ * Show server and channel rules when the active tab is a Discord channel
+ * Tab URL and title are readable thanks to the discord.com host permission
+ */
+async function initRules(settings, provider) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  currentLocation = tab?.url ? Settings.getChannelLocation(tab.url) : null;
+  if (!currentLocation) return;
+
+  // Tab title looks like "Discord | #channel | Server"
+  currentName = (tab.title || '').replace(/^Discord \| /, '');
+  document.getElementById('rules-title').textContent = currentName || I18n.t('popupThisChannel');
+
+  for (const select of [serverModeSelect, channelModeSelect]) {
+    select.add(new Option(I18n.t('modeDefault'), ''));
+    select.add(new Option(I18n.t('modeAuto'), 'auto'));
+    select.add(new Option(I18n.t('modeManual'), 'manual'));
+    select.add(new Option(I18n.t('modeOff'), 'off'));
+  }
+
+  for (const code of provider.languages) {
+    channelLanguageSelect.add(new Option(I18n.languageName(code), code));
+  }
+
+  const { guildId, channelId } = currentLocation;
+  const serverRule = settings.translationRules[guildId] || {};
+  const channelRule = settings.translationRules[`${guildId}/${channelId}`] || {};
+  serverModeSelect.value = serverRule.mode || '';
+  channelModeSelect.value = channelRule.mode || '';
+  channelLanguageSelect.value = channelRule.targetLanguage || '';
+
+  document.getElementById('rules').hidden = false;
+}
+
+async function init() {
+  const settings = await Settings.load();
+  const provider = TranslationProviders.get(settings.provider);
+
+  await I18n.load(settings.uiLanguage);
+  I18n.localizePage();
+
+  targetSelect.add(new Option(I18n.t('targetLanguageAuto'), ''));
+  for (const code of provider.languages) {
+    targetSelect.add(new Option(I18n.languageName(code), code));
+  }
+  targetSelect.value = settings.targetLanguage;
+  modeSelect.value = settings.manualTranslation ? 'manual' : 'auto';
+  await initRules(settings, provider);
+
+  const state = await sendToBackground('getState');
+  activeCheckbox.checked = state.isActive;
+  renderStats(state.stats);
+  await renderCacheSize();
+}
+
+activeCheckbox.addEventListener('change', async () => {
+  const state = await sendToBackground('toggleTranslator');
+  activeCheckbox.checked = state.isActive;
+});
+
+modeSelect.addEventListener('change', () => {
+  Settings.save({ manualTranslation: modeSelect.value === 'manual' });
+});
+
+targetSelect.addEventListener('change', () => {
+  Settings.save({ targetLanguage: targetSelect.value });
+});
+
+serverModeSelect.addEventListener('change', () => {
+  // Server name is the last part of the tab title
+  Settings.saveRule(currentLocation.guildId, {
+    mode: serverModeSelect.value,
+    name: currentName.split(' | ').pop()
+  });
+});
+
+channelModeSelect.addEventListener('change', () => {
+  const { guildId, channelId } = currentLocation;
+  Settings.saveRule(`${guildId}/${channelId}`, { mode: channelModeSelect.value, name: currentName });
+});
+
+channelLanguageSelect.addEventListener('change', () => {
+  const { guildId, channelId } = currentLocation;
+  Settings.saveRule(`${guildId}/${channelId}`, { targetLanguage: channelLanguageSelect.value, name: currentName });
+});
+
+document.getElementById('open-options').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Shortcuts are configured on Chrome's own page, extensions can only open it
+document.getElementById('open-shortcuts').addEventListener('click', () => {
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
+
+// Content scripts broadcast stats to all extension pages, update while the popup is open
+chrome.runtime.onMessage.addListener((message) => {
+  try {
+    const { type, args } = JSON.parse(message);
+    if (type === 'updateStats') {
+      renderStats(args[0]);
+      renderCacheSize();
+    }
+  } catch (error) {
+    // Not a message for the popup
+  }
+});
+
+init();
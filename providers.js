@@ -0,0 +1,439 @@
+/**
+ * Discord Message Translator - Translation Providers
+ * Author: Tomáš Mark
+ *
+ * Request/response adapters for supported translation APIs
+ * Shared by the content script and extension pages
+ */
+
+// Language code -> native name (codes are lowercase ISO 639-1)
+const LANGUAGE_NAMES = {
+  ar: 'العربية',
+  bg: 'Български',
+  cs: 'Čeština',
+  da: 'Dansk',
+  de: 'Deutsch',
+  el: 'Ελληνικά',
+  en: 'English',
+  es: 'Español',
+  et: 'Eesti',
+  fi: 'Suomi',
+  fr: 'Français',
+  he: 'עברית',
+  hi: 'हिन्दी',
+  hu: 'Magyar',
+  id: 'Bahasa Indonesia',
+  it: 'Italiano',
+  ja: '日本語',
+  ko: '한국어',
+  lt: 'Lietuvių',
+  lv: 'Latviešu',
+  nl: 'Nederlands',
+  pl: 'Polski',
+  pt: 'Português',
+  ro: 'Română',
+  ru: 'Русский',
+  sk: 'Slovenčina',
+  sl: 'Slovenščina',
+  sv: 'Svenska',
+  th: 'ไทย',
+  tr: 'Türkçe',
+  uk: 'Українська',
+  vi: 'Tiếng Việt',
+  zh: '中文'
+};
+
+const ALL_LANGUAGES = Object.keys(LANGUAGE_NAMES);
+
+/**
+ * Base class for translation providers
+ *
+ * prepareRequest() builds a fetch request which the background script executes,
+ * parseResponse() turns the raw response text into one result per input text:
+ *   { translatedText, detectedLanguage: { language, confidence } | null }
+ */
+class TranslationProvider {
+  constructor({ id, name, defaultUrl, languages = ALL_LANGUAGES, capabilities = {} }) {
+    this.id = id;
+    this.name = name;
+    this.defaultUrl = defaultUrl;
+    this.languages = languages;
+    this.capabilities = {
+      batch: false,           // Accepts multiple texts in one request
+      detectLanguage: false,  // Reports detected source language
+      apiKey: 'optional',     // 'optional' | 'required'
+      model: false,           // Needs a model name
+      ...capabilities
+    };
+  }
+
+  supportsLanguage(code) {
+    return this.languages.includes(code);
+  }
+
+  /**
+   * First supported language from a list of locales ('pt-BR' -> 'pt'), null when none is supported
+   */
+  matchLanguage(locales) {
+    return locales
+      .filter(Boolean)
+      .map(locale => locale.toLowerCase().split(/[-_]/)[0])
+      .find(code => this.supportsLanguage(code)) || null;
+  }
+
+  /**
+   * Build fetch request for texts
+   * @param {string[]} texts - texts to translate
+   * @param {object} options - { from, to, format, apiUrl, apiKey, model }
+   *   format is 'text' or 'html' (texts contain simple formatting tags to keep in place)
+   * @returns {{ url: string, options: RequestInit }}
+   */
+  prepareRequest(texts, options) {
+    throw new Error(`${this.name}: prepareRequest() not implemented`);
+  }
+
+  /**
+   * Parse raw response text into one result per input text
+   */
+  parseResponse(texts, responseText) {
+    throw new Error(`${this.name}: parseResponse() not implemented`);
+  }
+
+  /**
+   * Build a cheap request used to check whether the server is back up
+   * Any HTTP response below 500 counts as healthy
+   */
+  prepareHealthCheck(options) {
+    return this.prepareRequest(['ok'], { ...options, from: 'en' });
+  }
+
+  /**
+   * Parse JSON response text, throwing a readable error for non-JSON responses
+   */
+  parseJson(responseText) {
+    if (!responseText) {
+      throw new Error(`${this.name}: empty response`);
+    }
+
+    try {
+      return JSON.parse(responseText);
+    } catch (error) {
+      throw new Error(`${this.name}: invalid JSON response: ${responseText.substring(0, 200)}`);
+    }
+  }
+
+  /**
+   * Check that every text received a translation
+   */
+  checkResults(texts, results) {
+    if (results.length !== texts.length || results.some(r => typeof r.translatedText !== 'string')) {
+      throw new Error(`${this.name}: expected ${texts.length} translations, got ${results.length}`);
+    }
+    return results;
+  }
+}
+
+/**
+ * LibreTranslate (self-hosted or remote)
+ * https://libretranslate.com/docs
+ */
+class LibreTranslateProvider extends TranslationProvider {
+  constructor() {
+    super({
+      id: 'libretranslate',
+      name: 'LibreTranslate',
+      defaultUrl: 'http://localhost:5000/translate',
+      capabilities: { batch: true, detectLanguage: true }
+    });
+  }
+
+  prepareRequest(texts, { from = 'auto', to, format = 'text', apiUrl, apiKey }) {
+    const body = {
+      q: texts.length === 1 ? texts[0] : texts,
+      source: from,
+      target: to,
+      format
+    };
+
+    // API key is only sent when configured (required by some LibreTranslate instances)
+    if (apiKey) {
+      body.api_key = apiKey;
+    }
+
+    return {
+      url: apiUrl || this.defaultUrl,
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }
+    };
+  }
+
+  prepareHealthCheck({ apiUrl }) {
+    // GET /languages costs no translation
+    const url = new URL(apiUrl || this.defaultUrl);
+    url.pathname = url.pathname.replace(/\/translate\/?$/, '/languages');
+
+    return {
+      url: url.toString(),
+      options: { method: 'GET' }
+    };
+  }
+
+  parseResponse(texts, responseText) {
+    // Response format: { translatedText, detectedLanguage: { language, confidence } }
+    // With an array in q, both fields are arrays
+    const response = this.parseJson(responseText);
+
+    if (response.error) {
+      throw new Error(`${this.name}: ${response.error}`);
+    }
+
+    const translated = [].concat(response.translatedText ?? []);
+    const detected = [].concat(response.detectedLanguage ?? []);
+
+    return this.checkResults(texts, translated.map((translatedText, index) => ({
+      translatedText,
+      detectedLanguage: detected[index] ? {
+        language: detected[index].language,
+        confidence: detected[index].confidence / 100
+      } : null
+    })));
+  }
+}
+
+/**
+ * DeepL API (Free and Pro) or any server with the same request shape
+ * https://developers.deepl.com/docs/api-reference/translate
+ */
+class DeepLProvider extends TranslationProvider {
+  constructor() {
+    super({
+      id: 'deepl',
+      name: 'DeepL',
+      defaultUrl: 'https://api-free.deepl.com/v2/translate',
+      languages: ALL_LANGUAGES.filter(code => !['he', 'hi', 'th', 'vi'].includes(code)),
+      capabilities: { batch: true, detectLanguage: true, apiKey: 'required' }
+    });
+  }
+
+  /**
+   * DeepL uses uppercase codes and wants a variant for some target languages
+   */
+  toDeepLCode(code, isTarget) {
+    const variants = { en: 'EN-US', pt: 'PT-PT' };
+    return (isTarget && variants[code]) || code.toUpperCase();
+  }
+
+  prepareRequest(texts, { from = 'auto', to, format = 'text', apiUrl, apiKey }) {
+    const body = {
+      text: texts,
+      target_lang: this.toDeepLCode(to, true)
+    };
+
+    if (format === 'html') {
+      body.tag_handling = 'html';
+    }
+
+    if (from !== 'auto') {
+      body.source_lang = this.toDeepLCode(from, false);
+    }
+
+    return {
+      url: apiUrl || this.defaultUrl,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `DeepL-Auth-Key ${apiKey}`
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  }
+
+  parseResponse(texts, responseText) {
+    // Response format: { translations: [{ detected_source_language, text }] }
+    const response = this.parseJson(responseText);
+
+    if (!Array.isArray(response.translations)) {
+      throw new Error(`${this.name}: ${response.message || response.error || 'invalid response'}`);
+    }
+
+    return this.checkResults(texts, response.translations.map(item => ({
+      translatedText: item.text,
+      detectedLanguage: item.detected_source_language ? {
+        language: item.detected_source_language.toLowerCase(),
+        confidence: null
+      } : null
+    })));
+  }
+}
+
+/**
+ * Google Cloud Translation v2 (Basic) or a compatible server
+ * https://cloud.google.com/translate/docs/reference/rest/v2/translate
+ */
+class GoogleProvider extends TranslationProvider {
+  constructor() {
+    super({
+      id: 'google',
+      name: 'Google Translate',
+      defaultUrl: 'https://translation.googleapis.com/language/translate/v2',
+      capabilities: { batch: true, detectLanguage: true, apiKey: 'required' }
+    });
+  }
+
+  prepareRequest(texts, { from = 'auto', to, format = 'text', apiUrl, apiKey }) {
+    const url = new URL(apiUrl || this.defaultUrl);
+    if (apiKey) {
+      url.searchParams.set('key', apiKey);
+    }
+
+    const body = {
+      q: texts,
+      target: to,
+      format
+    };
+
+    if (from !== 'auto') {
+      body.source = from;
+    }
+
+    return {
+      url: url.toString(),
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }
+    };
+  }
+
+  parseResponse(texts, responseText) {
+    // Response format: { data: { translations: [{ translatedText, detectedSourceLanguage }] } }
+    const response = this.parseJson(responseText);
+
+    if (response.error) {
+      throw new Error(`${this.name}: ${response.error.message || response.error}`);
+    }
+
+    const translations = response.data?.translations;
+    if (!Array.isArray(translations)) {
+      throw new Error(`${this.name}: invalid response`);
+    }
+
+    return this.checkResults(texts, translations.map(item => ({
+      translatedText: item.translatedText,
+      detectedLanguage: item.detectedSourceLanguage ? {
+        language: item.detectedSourceLanguage,
+        confidence: null
+      } : null
+    })));
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions endpoint (OpenAI, Ollama, LM Studio, vLLM, ...)
+ * Texts are sent as a JSON array and the model must answer with an array of the same length
+ */
+class OpenAIProvider extends TranslationProvider {
+  constructor() {
+    super({
+      id: 'openai',
+      name: 'OpenAI-compatible',
+      defaultUrl: 'https://api.openai.com/v1/chat/completions',
+      capabilities: { batch: true, model: true }
+    });
+  }
+
+  prepareRequest(texts, { from = 'auto', to, format = 'text', apiUrl, apiKey, model }) {
+    const targetName = LANGUAGE_NAMES[to] ? `${LANGUAGE_NAMES[to]} (${to})` : to;
+    const sourceHint = from === 'auto' ? '' : ` from language "${from}"`;
+    const formatHint = format === 'html' ? ' Strings are HTML: keep the tags and entities as they are.' : '';
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return {
+      url: apiUrl || this.defaultUrl,
+      options: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: model || 'gpt-4o-mini',
+          temperature: 0,
+          messages: [
+            {
+              role: 'system',
+              content: `You translate chat messages${sourceHint} into ${targetName}. ` +
+                'The user sends a JSON array of strings. Reply with only a JSON array of ' +
+                'the translated strings, in the same order and of the same length. ' +
+                'Keep the tone, emoji and line breaks, and keep placeholders such as {{0}} ' +
+                'exactly as they are; do not add explanations.' + formatHint
+            },
+            { role: 'user', content: JSON.stringify(texts) }
+          ]
+        })
+      }
+    };
+  }
+
+  parseResponse(texts, responseText) {
+    const response = this.parseJson(responseText);
+
+    if (response.error) {
+      throw new Error(`${this.name}: ${response.error.message || response.error}`);
+    }
+
+    const content = response.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error(`${this.name}: invalid response`);
+    }
+
+    // Models sometimes wrap the answer in a ```json fence
+    const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    let translations;
+    try {
+      translations = JSON.parse(json);
+    } catch (error) {
+      translations = null;
+    }
+
+    // A single text may come back as a JSON string ("Ahoj") or as plain text
+    if (texts.length === 1 && !Array.isArray(translations)) {
+      translations = [typeof translations === 'string' ? translations : content.trim()];
+    }
+
+    if (!Array.isArray(translations)) {
+      throw new Error(`${this.name}: model did not return a JSON array`);
+    }
+
+    return this.checkResults(texts, translations.map(translatedText => ({
+      translatedText,
+      detectedLanguage: null
+    })));
+  }
+}
+
+/**
+ * Registry of available providers
+ */
+class TranslationProviders {
+  static providers = new Map(
+    [new LibreTranslateProvider(), new DeepLProvider(), new GoogleProvider(), new OpenAIProvider()]
+      .map(provider => [provider.id, provider])
+  );
+
+  static get(id) {
+    return this.providers.get(id) || this.providers.get('libretranslate');
+  }
+
+  static list() {
+    return Array.from(this.providers.values());
+  }
+}
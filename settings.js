@@ -0,0 +1,337 @@
+/**
+ * Discord Message Translator - Shared Settings
+ * Author: Tomáš Mark
+ *
+ * Settings schema, defaults and chrome.storage.sync helpers shared by the
+ * content script, background script and extension pages
+ * Loaded after i18n.js (validation messages are localized)
+ */
+
+// Every setting is stored under its own key in chrome.storage.sync
+// type: 'string' | 'url' | 'boolean' | 'number' (numbers are integers within min/max) | 'choice' (one of options)
+//       | 'languages' | 'rules' | 'providers'
+const SETTINGS_SCHEMA = {
+  // Translation server
+  provider: { type: 'string', default: 'libretranslate' },                      // Translation provider ID (see providers.js)
+  apiUrl: { type: 'url', default: 'http://localhost:5000/translate' },         // Provider endpoint URL
+  apiKey: { type: 'string', default: '' },                                       // API key (optional for LibreTranslate)
+  model: { type: 'string', default: '' },                                        // Model name for OpenAI-compatible providers
+  providerConfigs: { type: 'providers', default: {} },                           // Server, key and model of every provider set up (see below)
+  targetLanguage: { type: 'string', default: '' },                               // Target language code ('' = Discord or browser language)
+
+  // Behaviour
+  manualTranslation: { type: 'boolean', default: true },                         // true = translate on flag icon click
+  apiDelayMs: { type: 'number', default: 50, min: 0, max: 10000 },               // Delay between translation requests
+  cycleDelayMs: { type: 'number', default: 2000, min: 500, max: 60000 },         // Full-scan fallback interval
+  batchMaxSize: { type: 'number', default: 25, min: 1, max: 100 },               // Max messages per request
+  batchMaxChars: { type: 'number', default: 5000, min: 100, max: 50000 },        // Max characters per request
+  prefetchMarginPx: { type: 'number', default: 800, min: 0, max: 5000 },         // Prefetch zone above/below the screen
+  translateSpoilers: { type: 'boolean', default: true },                         // Send spoiler text to the server (shown hidden)
+  translationRules: { type: 'rules', default: {} },                              // Per-server and per-channel overrides (see below)
+
+  // Appearance
+  uiLanguage: { type: 'choice', default: '', options: ['', ...UI_LANGUAGES] }, // Interface language ('' = browser language)
+  displayMode: { type: 'choice', default: 'below', options: ['below', 'replace', 'tooltip'] }, // Where translations are shown
+  translationTheme: { type: 'choice', default: 'auto', options: ['auto', 'light', 'dark', 'custom'] }, // Translation colours
+  translationColor: { type: 'string', default: '#949ba4' },                      // Text colour of the custom theme
+  translationFontSize: { type: 'number', default: 14, min: 10, max: 32 },        // Font size of translations (px)
+  translationOpacity: { type: 'number', default: 80, min: 10, max: 100 },        // Opacity of translations (%)
+  translationPrefix: { type: 'string', default: '' },                            // Text shown before every translation (e.g. "🌐 ")
+
+  // Composer (outgoing messages)
+  composerEnabled: { type: 'boolean', default: true },                           // Translate button in Discord's message input
+  composerLanguage: { type: 'string', default: '' },                             // Draft translation language ('' = channel's dominant language)
+
+  // Source languages
+  minConfidence: { type: 'number', default: 0, min: 0, max: 100 },               // Skip messages detected with lower confidence (%)
+  neverTranslateFrom: { type: 'languages', default: [] },                        // Source languages never translated
+  onlyTranslateFrom: { type: 'languages', default: [] },                         // Only these source languages are translated (empty = all)
+
+  // Cache
+  cacheMaxEntries: { type: 'number', default: 5000, min: 100, max: 100000 },     // Max translations in the persistent cache
+  cacheTtlDays: { type: 'number', default: 30, min: 0, max: 365 },               // Days before a cached translation expires (0 = never)
+
+  // Debugging
+  debugStyling: { type: 'boolean', default: false },                             // Yellow background + red border for translations
+  debugEnabled: { type: 'boolean', default: false },                             // Master switch for all debug logging
+  debugVerbose: { type: 'boolean', default: false },                             // Element detection, viewport checks, etc.
+  debugApiRequests: { type: 'boolean', default: false },                         // API requests and responses
+  debugTranslations: { type: 'boolean', default: false },                        // Translation progress
+  debugPerformance: { type: 'boolean', default: false }                          // Timing and performance info
+};
+
+const SETTINGS_DEFAULTS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, { default: value }]) => [key, value])
+);
+
+// Settings left out of exported files unless explicitly requested
+const SECRET_SETTINGS = ['apiKey'];
+
+// translationRules maps '<guildId>' (server) or '<guildId>/<channelId>' (channel) to
+// { mode?: 'auto' | 'manual' | 'off', targetLanguage?, name? }, guildId is '@me' for direct messages
+// Missing fields fall back to the server rule, then to the global settings
+const RULE_KEY_PATTERN = /^(\d+|@me)(?:\/(\d+))?$/;
+const RULE_MODES = ['auto', 'manual', 'off'];
+
+// providerConfigs maps a provider ID to { apiUrl, apiKey, model } as last saved on the options page
+// The selected provider runs with apiUrl, apiKey and model, the others can translate single messages
+
+class Settings {
+  /**
+   * Load all settings, missing keys fall back to defaults
+   */
+  static async load() {
+    return chrome.storage.sync.get(SETTINGS_DEFAULTS);
+  }
+
+  /**
+   * Save one or more settings
+   */
+  static async save(values) {
+    await chrome.storage.sync.set(values);
+  }
+
+  /**
+   * Move settings saved by older versions from chrome.storage.local to sync
+   */
+  static async migrateFromLocal() {
+    const local = await chrome.storage.local.get(Object.keys(SETTINGS_DEFAULTS));
+    if (Object.keys(local).length === 0) return;
+
+    // Values already in sync (e.g. from another machine) win
+    const synced = await chrome.storage.sync.get(Object.keys(local));
+    const toCopy = Object.fromEntries(Object.entries(local).filter(([key]) => !(key in synced)));
+
+    await chrome.storage.sync.set(toCopy);
+    await chrome.storage.local.remove(Object.keys(local));
+  }
+
+  /**
+   * Validate and normalise settings values
+   * Unknown keys are ignored, returns { values, errors } where errors maps key -> message
+   */
+  static validate(input) {
+    const values = {};
+    const errors = {};
+
+    for (const [key, value] of Object.entries(input)) {
+      const schema = SETTINGS_SCHEMA[key];
+      if (!schema) continue;
+
+      switch (schema.type) {
+        case 'boolean':
+          if (typeof value !== 'boolean') {
+            errors[key] = I18n.t('errorBoolean');
+            continue;
+          }
+          break;
+
+        case 'number':
+          if (!Number.isInteger(value) || value < schema.min || value > schema.max) {
+            errors[key] = I18n.t('errorNumberRange', [schema.min, schema.max]);
+            continue;
+          }
+          break;
+
+        case 'url':
+          if (!Settings.isHttpUrl(value)) {
+            errors[key] = I18n.t('errorUrl');
+            continue;
+          }
+          break;
+
+        case 'choice':
+          if (!schema.options.includes(value)) {
+            errors[key] = I18n.t('errorChoice', schema.options.join(', '));
+            continue;
+          }
+          break;
+
+        case 'languages':
+          if (!Array.isArray(value) || value.some(code => typeof code !== 'string' || !/^[a-z]{2,3}$/.test(code))) {
+            errors[key] = I18n.t('errorLanguages');
+            continue;
+          }
+          break;
+
+        case 'rules': {
+          const error = Settings.validateRules(value);
+          if (error) {
+            errors[key] = error;
+            continue;
+          }
+          break;
+        }
+
+        case 'providers': {
+          const error = Settings.validateProviderConfigs(value);
+          if (error) {
+            errors[key] = error;
+            continue;
+          }
+          break;
+        }
+
+        default:
+          if (typeof value !== 'string') {
+            errors[key] = I18n.t('errorText');
+            continue;
+          }
+      }
+
+      values[key] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    return { values, errors };
+  }
+
+  static isHttpUrl(value) {
+    try {
+      const { protocol } = new URL(value);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check translationRules value, returns an error message or null
+   */
+  static validateRules(rules) {
+    if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+      return I18n.t('errorRulesObject');
+    }
+
+    for (const [key, rule] of Object.entries(rules)) {
+      if (!RULE_KEY_PATTERN.test(key)) {
+        return I18n.t('errorRuleKey', key);
+      }
+      if (typeof rule !== 'object' || rule === null) {
+        return I18n.t('errorRuleObject', key);
+      }
+      if (rule.mode !== undefined && !RULE_MODES.includes(rule.mode)) {
+        return I18n.t('errorRuleMode', [key, rule.mode]);
+      }
+      if (rule.targetLanguage !== undefined && typeof rule.targetLanguage !== 'string') {
+        return I18n.t('errorRuleLanguage', key);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check providerConfigs value, returns an error message or null
+   */
+  static validateProviderConfigs(configs) {
+    if (typeof configs !== 'object' || configs === null || Array.isArray(configs)) {
+      return I18n.t('errorRulesObject');
+    }
+
+    for (const [id, config] of Object.entries(configs)) {
+      if (typeof config !== 'object' || config === null ||
+          ['apiUrl', 'apiKey', 'model'].some(field => config[field] !== undefined && typeof config[field] !== 'string')) {
+        return I18n.t('errorProviderConfig', id);
+      }
+      if (config.apiUrl && !Settings.isHttpUrl(config.apiUrl)) {
+        return I18n.t('errorProviderConfig', id);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Copy of settings without API keys, for exported files
+   */
+  static withoutSecrets(settings) {
+    const copy = { ...settings };
+    SECRET_SETTINGS.forEach(key => delete copy[key]);
+    copy.providerConfigs = Object.fromEntries(
+      Object.entries(copy.providerConfigs || {}).map(([id, { apiKey, ...config }]) => [id, config])
+    );
+    return copy;
+  }
+
+  /**
+   * Update one server or channel rule, empty fields are removed
+   * A rule without mode and target language is deleted
+   */
+  static async saveRule(key, changes) {
+    const { translationRules } = await chrome.storage.sync.get({ translationRules: {} });
+    const rule = { ...translationRules[key], ...changes };
+
+    for (const [field, value] of Object.entries(rule)) {
+      if (!value) delete rule[field];
+    }
+
+    if (rule.mode || rule.targetLanguage) {
+      translationRules[key] = rule;
+    } else {
+      delete translationRules[key];
+    }
+
+    await chrome.storage.sync.set({ translationRules });
+  }
+
+  /**
+   * Get server and channel from a Discord URL or pathname
+   * e.g. https://discord.com/channels/123/456 -> { guildId: '123', channelId: '456' }
+   */
+  static getChannelLocation(url) {
+    const match = new URL(url, 'https://discord.com').pathname.match(/^\/channels\/(\d+|@me)\/(\d+)/);
+    return match ? { guildId: match[1], channelId: match[2] } : null;
+  }
+
+  /**
+   * Resolve the effective mode and target language for a channel
+   * Channel rule overrides server rule, which overrides the global settings
+   * @param {object} settings - { manualTranslation, targetLanguage, translationRules }
+   * @param {object|null} location - { guildId, channelId }
+   * @returns {{ mode: 'auto' | 'manual' | 'off', targetLanguage: string }}
+   */
+  static resolveRule(settings, location) {
+    const rules = settings.translationRules || {};
+    const serverRule = (location && rules[location.guildId]) || {};
+    const channelRule = (location && rules[`${location.guildId}/${location.channelId}`]) || {};
+
+    return {
+      mode: channelRule.mode || serverRule.mode || (settings.manualTranslation ? 'manual' : 'auto'),
+      targetLanguage: channelRule.targetLanguage || serverRule.targetLanguage || settings.targetLanguage
+    };
+  }
+
+  /**
+   * Listen for settings changes made from any extension page, tab or synced machine
+   * Callback receives only the changed keys with their new values
+   * Returns a function that removes the listener
+   */
+  static onChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== 'sync') return;
+
+      const changed = {};
+      for (const [key, change] of Object.entries(changes)) {
+        if (key in SETTINGS_DEFAULTS) {
+          changed[key] = change.newValue ?? SETTINGS_DEFAULTS[key];
+        }
+      }
+
+      if (Object.keys(changed).length > 0) {
+        callback(changed);
+      }
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  /**
+   * Build host permission match pattern for a server URL
+   * e.g. http://192.168.79.2:5000/translate -> http://192.168.79.2/*
+   */
+  static getOriginPattern(url) {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Discord Message Translator - Test Helpers
+ * Author: Tomáš Mark
+ *
+ * Loads the content scripts (in manifest order) into a jsdom window with a minimal chrome API
+ * The content script's main() stops early because the stub has no runtime ID
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Window with the content scripts loaded, top-level classes are read with window.eval('Name')
+ */
+function loadContentScripts(html = '', { url = 'https://discord.com/channels/@me' } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, {
+    url,
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+
+  window.chrome = {
+    runtime: {
+      sendMessage: async () => 'null',
+      onMessage: { addListener() {} }
+    },
+    i18n: { getMessage: () => '' },
+    storage: {
+      sync: { get: async (defaults) => defaults, set: async () => {} },
+      onChanged: { addListener() {}, removeListener() {} }
+    }
+  };
+  // Not implemented by jsdom
+  window.CSS = { supports: () => true };
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  runScripts(dom, manifest.content_scripts[0].js);
+  return window;
+}
+
+/**
+ * Run files as separate scripts sharing one global scope, like the browser loads them
+ */
+function runScripts(dom, files) {
+  const context = dom.getInternalVMContext();
+  for (const file of files) {
+    const filename = path.join(ROOT, file);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  }
+}
+
+/**
+ * Load a script shared with the extension pages (e.g. providers.js) into a plain window
+ */
+function loadScripts(files) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+  runScripts(dom, files);
+  return dom.window;
+}
+
+module.exports = { loadContentScripts, loadScripts };
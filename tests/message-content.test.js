@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScripts } = require('./helpers');
+
+/**
+ * Extract a message and render the given "translation" with its tokens
+ */
+function roundTrip(window, html, translate = text => text) {
+  const MessageContent = window.eval('MessageContent');
+  const message = window.document.createElement('div');
+  message.innerHTML = html;
+
+  const { text, tokens } = MessageContent.extract(message);
+  const output = window.document.createElement('div');
+  output.append(MessageContent.render(translate(text), tokens));
+  return { text, tokens, output };
+}
+
+test('mentions, links and inline code become placeholders and come back as nodes', () => {
+  const window = loadContentScripts();
+  const { text, output } = roundTrip(window,
+    'Hi <span class="mention">@bob</span>, read <a href="https://example.com">this</a> and run <code>npm test</code>');
+
+  assert.strictEqual(text, 'Hi {{0}}, read {{1}} and run {{2}}');
+  assert.strictEqual(output.querySelector('.mention').textContent, '@bob');
+  assert.strictEqual(output.querySelector('a').getAttribute('href'), 'https://example.com');
+  assert.strictEqual(output.querySelector('code').textContent, 'npm test');
+});
+
+test('literal {{n}} typed by the user is kept and does not collide with placeholders', () => {
+  const window = loadContentScripts();
+  const { text, output } = roundTrip(window, 'Use {{0}} syntax like <code>x</code> here');
+
+  assert.strictEqual(text, 'Use {{0}} syntax like {{1}} here');
+  assert.strictEqual(output.textContent, 'Use {{0}} syntax like x here');
+  assert.strictEqual(output.querySelectorAll('code').length, 1);
+});
+
+test('unknown and repeated placeholders in the translation are left as text', () => {
+  const window = loadContentScripts();
+  const { output } = roundTrip(window, 'See <code>x</code> now', () => '{{0}} and {{0}} and {{7}}');
+
+  assert.strictEqual(output.textContent, 'x and {{0}} and {{7}}');
+  assert.strictEqual(output.querySelectorAll('code').length, 1);
+});
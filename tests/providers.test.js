@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+/**
+ * Chat completion response with the given message content
+ */
+function chatResponse(content) {
+  return JSON.stringify({ choices: [{ message: { content } }] });
+}
+
+test('OpenAI provider reads a JSON array of translations', () => {
+  const window = loadScripts(['providers.js']);
+  const provider = window.eval('TranslationProviders').get('openai');
+
+  const results = provider.parseResponse(['Hello', 'Bye'], chatResponse('```json\n["Ahoj", "Čau"]\n```'));
+  assert.deepStrictEqual([...results.map(result => result.translatedText)], ['Ahoj', 'Čau']);
+});
+
+test('OpenAI provider accepts a bare JSON string or plain text for a single text', () => {
+  const window = loadScripts(['providers.js']);
+  const provider = window.eval('TranslationProviders').get('openai');
+
+  assert.strictEqual(provider.parseResponse(['Hello'], chatResponse('"Ahoj"'))[0].translatedText, 'Ahoj');
+  assert.strictEqual(provider.parseResponse(['Hello'], chatResponse('Ahoj'))[0].translatedText, 'Ahoj');
+  assert.strictEqual(provider.parseResponse(['42'], chatResponse('42'))[0].translatedText, '42');
+  assert.throws(() => provider.parseResponse(['Hello', 'Bye'], chatResponse('"Ahoj"')), /JSON array/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScripts } = require('./helpers');
+
+const MESSAGES_HTML = `
+  <ol data-list-id="chat-messages">
+    <li id="chat-messages-222222222222222222-333333333333333333">
+      <div id="message-content-333333333333333333" class="markup_abc">Hello there</div>
+    </li>
+    <li id="chat-messages-222222222222222222-444444444444444444">
+      <div id="message-content-444444444444444444" class="markup_abc">See you</div>
+    </li>
+  </ol>`;
+
+/**
+ * Translator in replace mode with both messages translated
+ */
+function setup() {
+  const window = loadContentScripts(MESSAGES_HTML);
+  // jsdom has no layout, innerText is only approximated
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', { get() { return this.textContent; } });
+  window.eval('CONFIG').DISPLAY_MODE = 'replace';
+
+  const DiscordTranslator = window.eval('DiscordTranslator');
+  const ContentScriptContext = window.eval('ContentScriptContext');
+  const translator = new DiscordTranslator(new ContentScriptContext());
+  translator.renderTranslation(window.document.getElementById('message-content-333333333333333333'), 'Ahoj', '333333333333333333');
+  translator.renderTranslation(window.document.getElementById('message-content-444444444444444444'), 'Uvidíme se', '444444444444444444');
+  return { window, translator };
+}
+
+/**
+ * Run the copy handler, returns the text put on the clipboard (null = default copy)
+ */
+function copy(window, translator) {
+  let copied = null;
+  const event = new window.Event('copy', { cancelable: true });
+  event.clipboardData = { setData: (type, text) => { copied = text; } };
+  translator.handleCopy(event);
+  return copied;
+}
+
+test('copying messages in replace mode puts the originals on the clipboard', () => {
+  const { window, translator } = setup();
+  window.getSelection().selectAllChildren(window.document.querySelector('[data-list-id="chat-messages"]'));
+
+  const copied = copy(window, translator);
+  assert.match(copied, /Hello there/);
+  assert.match(copied, /See you/);
+  assert.doesNotMatch(copied, /Ahoj|Uvidíme/);
+});
+
+test('text selected inside one translation is copied as it is', () => {
+  const { window, translator } = setup();
+  const translation = window.document.querySelector(`.${translator.TRANSLATION_CLASS}`);
+  window.getSelection().selectAllChildren(translation);
+
+  assert.strictEqual(copy(window, translator), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScripts } = require('./helpers');
+
+const CHANNEL_URL = 'https://discord.com/channels/111111111111111111/222222222222222222';
+const MESSAGE_HTML = `
+  <ol data-list-id="chat-messages">
+    <li id="chat-messages-222222222222222222-333333333333333333">
+      <div id="message-content-333333333333333333" class="markup_abc">Hello, how are you?</div>
+    </li>
+  </ol>`;
+
+/**
+ * IntersectionObserver stub, intersect() reports observed elements as visible
+ */
+function installObserverStub(window) {
+  const observers = [];
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.elements = new Set();
+      observers.push(this);
+    }
+    observe(element) { this.elements.add(element); }
+    unobserve(element) { this.elements.delete(element); }
+    disconnect() { this.elements.clear(); }
+  };
+  return {
+    intersect() {
+      for (const observer of observers) {
+        observer.callback([...observer.elements].map(target => ({ target, isIntersecting: true })));
+      }
+    }
+  };
+}
+
+test('translate-visible shortcut translates on-screen messages in a channel set to off', async () => {
+  const window = loadContentScripts(MESSAGE_HTML, { url: CHANNEL_URL });
+  const observers = installObserverStub(window);
+  window.eval(`CONFIG.TRANSLATION_RULES = { '111111111111111111/222222222222222222': { mode: 'off' } }`);
+
+  // Only now, main() must not start the translator on its own
+  window.chrome.runtime.id = 'test';
+
+  const DiscordTranslator = window.eval('DiscordTranslator');
+  const ContentScriptContext = window.eval('ContentScriptContext');
+  const translator = new DiscordTranslator(new ContentScriptContext());
+  translator.scheduleProcessing = () => {};
+  translator.requestTranslations = async (texts) => texts.map(() => ({ translatedText: 'Ahoj, jak se máš?', detectedLanguage: null }));
+  translator.createVisibilityObservers(null);
+
+  // Regular cycle in an off channel translates nothing
+  const markup = window.document.getElementById('message-content-333333333333333333');
+  await translator.processMessages([markup]);
+  observers.intersect();
+  assert.strictEqual(window.document.querySelector(`.${translator.TRANSLATION_CLASS}`), null);
+
+  await translator.translateVisibleMessages();
+  const translation = window.document.querySelector(`.${translator.TRANSLATION_CLASS}`);
+  assert.ok(translation, 'translation is displayed');
+  assert.match(translation.textContent, /Ahoj, jak se máš\?/);
+  translator.context.abortController.abort();
+});
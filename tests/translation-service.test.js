@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScripts } = require('./helpers');
+
+/**
+ * Window with the given provider settings, fetches are recorded instead of sent
+ */
+function setup(settings) {
+  const window = loadContentScripts();
+  Object.assign(window.eval('CONFIG'), settings);
+
+  const TranslationService = window.eval('TranslationService');
+  const requests = [];
+  TranslationService.fetchViaBackground = async (url, options) => {
+    requests.push({ url, options });
+    return { status: 200, text: JSON.stringify({ choices: [{ message: { content: '["Ahoj"]' } }] }) };
+  };
+  return { TranslationService, requests };
+}
+
+test('another provider translates with the server, key and model saved for it', async () => {
+  const { TranslationService, requests } = setup({
+    PROVIDER: 'libretranslate',
+    PROVIDER_CONFIGS: { openai: { apiUrl: 'https://llm.example.com/v1/chat/completions', apiKey: 'sk-test', model: 'small' } }
+  });
+
+  const [result] = await TranslationService.translate(['Hello'], { provider: 'openai', to: 'cs' });
+
+  assert.strictEqual(result.translatedText, 'Ahoj');
+  assert.strictEqual(requests[0].url, 'https://llm.example.com/v1/chat/completions');
+  assert.strictEqual(requests[0].options.headers.Authorization, 'Bearer sk-test');
+  assert.strictEqual(JSON.parse(requests[0].options.body).model, 'small');
+});
+
+test('a provider that was never set up is not requested', async () => {
+  const { TranslationService, requests } = setup({ PROVIDER: 'libretranslate', PROVIDER_CONFIGS: {} });
+
+  await assert.rejects(TranslationService.translate(['Hello'], { provider: 'deepl', to: 'cs' }), /not set up/);
+  assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadContentScripts } = require('./helpers');
+
+/**
+ * Translator instance without the observers main() would start
+ */
+function createTranslator(window) {
+  const DiscordTranslator = window.eval('DiscordTranslator');
+  const ContentScriptContext = window.eval('ContentScriptContext');
+  return new DiscordTranslator(new ContentScriptContext());
+}
+
+test('edited marks are dropped with the stored translation', () => {
+  const window = loadContentScripts();
+  const translator = createTranslator(window);
+  translator.translationStore.configure({ maxEntries: 2 });
+
+  for (const messageId of ['1', '2', '3']) {
+    translator.translationStore.set(messageId, { text: 'Hello', translatedText: 'Ahoj' });
+    translator.editedMessages.add(messageId);
+  }
+  assert.deepStrictEqual([...translator.editedMessages], ['2', '3']);
+
+  translator.resetTranslations();
+  assert.strictEqual(translator.editedMessages.size, 0);
+});
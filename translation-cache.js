@@ -0,0 +1,238 @@
+/**
+ * Discord Message Translator - Translation Cache
+ * Author: Tomáš Mark
+ *
+ * In-memory LRU cache (content script) and IndexedDB-backed persistent cache
+ * (background script, shared by all Discord tabs)
+ */
+
+/**
+ * Size-bounded LRU cache with optional TTL
+ * Map keeps insertion order, so the first key is always the least recently used
+ * onEvict(key) is called for entries dropped by the size limit or TTL (not for delete/clear)
+ */
+class LruCache {
+  constructor({ maxEntries = 1000, ttlMs = 0, onEvict = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.onEvict = onEvict;
+    this.entries = new Map(); // key -> { value, createdAt }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  isExpired(createdAt) {
+    return this.ttlMs > 0 && Date.now() - createdAt > this.ttlMs;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (this.isExpired(entry.createdAt)) {
+      this.entries.delete(key);
+      this.onEvict?.(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, createdAt = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, createdAt });
+    this.evict();
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Change limits, evicting entries over the new size
+   */
+  configure({ maxEntries = this.maxEntries, ttlMs = this.ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.evict();
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      const key = this.entries.keys().next().value;
+      this.entries.delete(key);
+      this.onEvict?.(key);
+    }
+  }
+}
+
+/**
+ * Persistent translation cache stored in IndexedDB with an LRU front
+ * Entries: { key, value, createdAt, lastUsed }, evicted by lastUsed
+ */
+class TranslationCache {
+  static DB_NAME = 'dimetrans-cache';
+  static DB_VERSION = 1;
+  static STORE_NAME = 'translations';
+
+  /**
+   * Build cache key from everything that affects the translation
+   */
+  static key(text, { from = 'auto', to, provider }) {
+    return `${provider}|${from}|${to}|${text}`;
+  }
+
+  constructor({ maxEntries = 5000, ttlMs = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.memory = new LruCache({ maxEntries: Math.min(maxEntries, 1000), ttlMs });
+    this.dbPromise = null;
+  }
+
+  configure({ maxEntries = this.maxEntries, ttlMs = this.ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.memory.configure({ maxEntries: Math.min(maxEntries, 1000), ttlMs });
+    return this.evict();
+  }
+
+  isExpired(createdAt) {
+    return this.ttlMs > 0 && Date.now() - createdAt > this.ttlMs;
+  }
+
+  openDb() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(TranslationCache.DB_NAME, TranslationCache.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(TranslationCache.STORE_NAME, { keyPath: 'key' });
+          store.createIndex('lastUsed', 'lastUsed');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run callback inside a transaction and resolve when it completes
+   */
+  async transaction(mode, callback) {
+    const db = await this.openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(TranslationCache.STORE_NAME, mode);
+      callback(tx.objectStore(TranslationCache.STORE_NAME));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Look up several keys, returns { key: value } for hits only
+   */
+  async getMany(keys) {
+    const hits = {};
+    const misses = [];
+
+    for (const key of keys) {
+      const value = this.memory.get(key);
+      if (value !== undefined) {
+        hits[key] = value;
+      } else {
+        misses.push(key);
+      }
+    }
+
+    if (misses.length === 0) {
+      return hits;
+    }
+
+    const now = Date.now();
+    await this.transaction('readwrite', (store) => {
+      for (const key of misses) {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const entry = request.result;
+          if (!entry) return;
+
+          if (this.isExpired(entry.createdAt)) {
+            store.delete(key);
+            return;
+          }
+
+          hits[key] = entry.value;
+          this.memory.set(key, entry.value, entry.createdAt);
+          store.put({ ...entry, lastUsed: now });
+        };
+      }
+    });
+
+    return hits;
+  }
+
+  /**
+   * Store several [key, value] pairs
+   */
+  async setMany(entries) {
+    const now = Date.now();
+
+    await this.transaction('readwrite', (store) => {
+      for (const [key, value] of entries) {
+        this.memory.set(key, value, now);
+        store.put({ key, value, createdAt: now, lastUsed: now });
+      }
+    });
+
+    await this.evict();
+  }
+
+  async count() {
+    let request;
+    await this.transaction('readonly', (store) => {
+      request = store.count();
+    });
+    return request.result;
+  }
+
+  /**
+   * Delete least recently used entries over maxEntries
+   */
+  async evict() {
+    const total = await this.count();
+    let toDelete = total - this.maxEntries;
+    if (toDelete <= 0) return;
+
+    await this.transaction('readwrite', (store) => {
+      const request = store.index('lastUsed').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || toDelete <= 0) return;
+
+        this.memory.delete(cursor.primaryKey);
+        cursor.delete();
+        toDelete--;
+        cursor.continue();
+      };
+    });
+  }
+
+  async clear() {
+    this.memory.clear();
+    await this.transaction('readwrite', (store) => store.clear());
+  }
+}